@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+'use strict';
+
+require('../src/cli').run(process.argv.slice(2))
+	.then(function(exitCode) {
+		process.exit(exitCode);
+	});
@@ -0,0 +1,100 @@
+'use strict';
+
+var crypto = require('crypto');
+var _ = require('lodash');
+
+// keys whose values are order-sensitive (e.g. { a: 1, b: -1 } sorts differently than { b: -1, a: 1 })
+var ORDER_SENSITIVE_KEYS = [ 'sort', '$sort', 'orderby', '$orderby', 'hint', '$hint' ];
+// keys whose values are query selectors (or lists of them)
+var SELECTOR_KEYS = [ '$match', '$query', '$elemMatch', '$and', '$or', '$nor' ];
+// aggregation stages whose fields come out in the order they're given
+var OUTPUT_SPEC_KEYS = [ '$project', '$group' ];
+// how the keys of an object are treated, depending on where it is. see canonicalize
+var CONTEXT = {
+	QUERY: 'query',      //a query argument (selector, options, pipeline stage), whose keys can be in any order
+	VALUE: 'value',      //the value of a field in a selector: an operator object ({ $gt: 1, $lt: 5 }) or an embedded document
+	LITERAL: 'literal',  //an embedded document, or anything else whose key order matters all the way down
+	SPEC: 'spec'         //a $project or $group spec, whose fields come out in order, but whose expressions can be in any order
+};
+
+/**
+ * Builds a cache key out of the given parts (e.g. the db name, collection name, and query arguments).
+ * Parts that are equivalent as far as mongo is concerned always produce the same key. see canonicalize
+ *
+ * @param   {Array}    keyParts   the values that make up the key
+ * @returns {string}   the key, as a base64 md5 hash
+ */
+exports.build = function(keyParts) {
+	var hasher = crypto.createHash('md5');
+	hasher.update(JSON.stringify(exports.canonicalize(keyParts)));
+	return hasher.digest('base64');
+};
+
+/**
+ * Converts a value into a JSON-safe form, where:
+ *   - BSON types (ObjectID, Long, Binary, etc.), Dates, RegExps and functions keep everything that distinguishes
+ *     them (JSON.stringify would turn every RegExp into {}, for instance)
+ *   - the keys of query arguments (selectors, options and pipeline stages) and of operator objects are sorted, so
+ *     { a: 1, b: { $gt: 1, $lt: 5 } } and { b: { $lt: 5, $gt: 1 }, a: 1 } are the same. Key order is kept wherever mongo
+ *     cares about it: in embedded documents (which only equal documents with their keys in the same order), sort specs,
+ *     and $project and $group specs (whose fields come out in the order they're given)
+ *
+ * @param   {*}        value         the value to convert
+ * @param   {string}   opt_context   (optional) where the value is, which decides whether its keys are sorted. defaults to a
+ *                                     query argument. see CONTEXT
+ * @returns {*}        the canonical form of the value
+ */
+exports.canonicalize = function(value, opt_context) {
+	var context = opt_context || CONTEXT.QUERY;
+	if (_.isFunction(value))
+	{
+		return { $function: value.toString() }; //mapReduce has function args
+	}
+	if (_.isDate(value))
+	{
+		return { $date: value.getTime() };
+	}
+	if (_.isRegExp(value))
+	{
+		return { $regex: value.source, $options: (value.global ? 'g' : '') + (value.ignoreCase ? 'i' : '') + (value.multiline ? 'm' : '') };
+	}
+	if (_.isArray(value))
+	{
+		return _.map(value, function(item) {
+			return exports.canonicalize(item, context);
+		});
+	}
+	if (value && _.isString(value._bsontype))
+	{
+		var bsonValue = {};
+		bsonValue['$' + value._bsontype] = exports.canonicalize(_.isFunction(value.toJSON) ? value.toJSON() : value.toString());
+		return bsonValue;
+	}
+	if (_.isObject(value))
+	{
+		var isOperatorObject = !_.isEmpty(value) && _.every(_.keys(value), function(key) { return key.charAt(0) === '$'; });
+		if (context === CONTEXT.VALUE && !isOperatorObject)
+		{
+			context = CONTEXT.LITERAL;
+		}
+		var sortsKeys = (context === CONTEXT.QUERY) || (isOperatorObject && context !== CONTEXT.LITERAL);
+		var canonical = {};
+		_.each(sortsKeys ? _.keys(value).sort() : _.keys(value), function(key) {
+			canonical[key] = exports.canonicalize(value[key], getChildContext(context, key));
+		});
+		return canonical;
+	}
+	return value;
+};
+
+function getChildContext(context, key) {
+	if (context === CONTEXT.LITERAL || _.contains(ORDER_SENSITIVE_KEYS, key))
+	{
+		return CONTEXT.LITERAL;
+	}
+	if (context === CONTEXT.SPEC || _.contains(OUTPUT_SPEC_KEYS, key))
+	{
+		return CONTEXT.SPEC;
+	}
+	return _.contains(SELECTOR_KEYS, key) ? CONTEXT.QUERY : CONTEXT.VALUE;
+}
@@ -0,0 +1,124 @@
+'use strict';
+
+var Promise = require('bluebird');
+var _ = require('lodash');
+var cursorHelpers = require('./cursorHelpers');
+
+/**
+ * A read-only, cursor-like object for replaying a cached result, which may be split into several chunks.
+ * Chunks are only loaded as they're reached, so a large result never has to be held in memory all at once
+ * (unless toArray() is used, of course).
+ *
+ * It provides the same reading functions as the native driver's cursors (along with their promisified
+ * *Async counterparts), so it can be used in their place.
+ *
+ * @param   {number}     chunkCount   the number of chunks in the result
+ * @param   {Function}   loadChunk    called with a chunk's index, returning a promise for that chunk's array of documents
+ */
+function CachedCursor(chunkCount, loadChunk) {
+	this._chunkCount = chunkCount;
+	this._loadChunk = loadChunk;
+	this._closed = false;
+	this.rewind();
+}
+
+/**
+ * Creates a CachedCursor that replays the given array of documents
+ */
+CachedCursor.fromArray = function(docs) {
+	return new CachedCursor(1, function() {
+		return Promise.resolve(docs);
+	});
+};
+
+CachedCursor.prototype.nextObject = function(callback) {
+	this._next().nodeify(callback);
+};
+
+CachedCursor.prototype.next = CachedCursor.prototype.nextObject;
+
+/**
+ * Calls the callback with each remaining document, and then once more with null once there are no more
+ */
+CachedCursor.prototype.each = function(callback) {
+	var that = this;
+	this._next()
+		.then(function(doc) {
+			callback(null, doc);
+			if (doc !== null)
+			{
+				that.each(callback);
+			}
+		}, callback)
+		.done();
+};
+
+CachedCursor.prototype.toArray = function(callback) {
+	var that = this;
+	var docs = [];
+	var collect = function() {
+		return that._next()
+			.then(function(doc) {
+				if (doc === null)
+				{
+					return docs;
+				}
+				docs.push(doc);
+				return collect();
+			});
+	};
+	collect().nodeify(callback);
+};
+
+CachedCursor.prototype.get = CachedCursor.prototype.toArray;
+
+CachedCursor.prototype.rewind = function() {
+	this._chunkIndex = -1;
+	this._chunk = [];
+	this._position = 0;
+	return this;
+};
+
+CachedCursor.prototype.close = function(callback) {
+	this._closed = true;
+	this._chunk = [];
+	if (_.isFunction(callback))
+	{
+		callback(null, this);
+	}
+};
+
+CachedCursor.prototype.isClosed = function() {
+	return this._closed;
+};
+
+/**
+ * Resolves with the next document, loading the next chunk(s) as needed, or with null if there are none left
+ */
+CachedCursor.prototype._next = function() {
+	var that = this;
+	if (this._closed)
+	{
+		return Promise.reject(new Error('Cursor is closed'));
+	}
+	if (this._position < this._chunk.length)
+	{
+		return Promise.resolve(this._chunk[this._position++]);
+	}
+	if (this._chunkIndex + 1 >= this._chunkCount)
+	{
+		return Promise.resolve(null);
+	}
+	return this._loadChunk(this._chunkIndex + 1)
+		.then(function(chunk) {
+			that._chunkIndex++;
+			that._chunk = chunk || [];
+			that._position = 0;
+			return that._next();
+		});
+};
+
+Promise.promisifyAll(CachedCursor.prototype);
+cursorHelpers.addTo(CachedCursor.prototype);
+
+module.exports = CachedCursor;
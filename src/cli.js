@@ -0,0 +1,134 @@
+'use strict';
+
+var Promise = require('bluebird');
+var _ = require('lodash');
+var connectionString = require('./connectionString');
+var porqpine = require('./mongoWrapper');
+
+var USAGE = [
+	'Usage: porqpine migrate [up|down|status] [options]',
+	'',
+	'Options:',
+	'  --db <dbName|connectionString>   the database to migrate. defaults to the one in MONGO_URI',
+	'  --dir <path>                     the directory of the migrations. defaults to ./migrations',
+	'  --collection <name>              the collection the applied versions are recorded in. defaults to migrations',
+	'  --to <version>                   the last version to apply, or the version to revert back to',
+	'  --dry-run                        list the migrations that would run, without running them',
+	'  --lock-timeout <seconds>         when a lock left behind by a crashed run expires. defaults to 600',
+	'',
+	'The connection is configured by the MONGO_* environment variables (see configFromEnv), unless --db is a connection string.'
+].join('\n');
+var FLAGS = {
+	'--db': { key: 'db' },
+	'--dir': { key: 'dir' },
+	'--collection': { key: 'collection' },
+	'--to': { key: 'to', parse: parseInteger },
+	'--dry-run': { key: 'dryRun', isSwitch: true },
+	'--lock-timeout': { key: 'lockTimeout', parse: parseInteger }
+};
+
+/**
+ * Runs the porqpine command line
+ *
+ * @param   {Array}    argv     the arguments, without node and the script
+ * @param   {Object}   opt_io   (optional) An object containing any of the following keys:
+ *                                - log: {Function} prints output. defaults to console.log
+ *                                - error: {Function} prints errors. defaults to console.error
+ *                                - env: {Object} the environment. defaults to process.env
+ * @returns {Promise}  resolved with the exit code
+ */
+exports.run = function(argv, opt_io) {
+	var io = _.defaults({}, opt_io, {
+		log: function(message) { console.log(message); },
+		error: function(message) { console.error(message); },
+		env: process.env
+	});
+	return Promise.try(function() {
+		var args = parseArgs(argv);
+		if (args.help)
+		{
+			io.log(USAGE);
+			return 0;
+		}
+		return migrate(args, io)
+			.return(0)
+			.finally(function() {
+				return porqpine.closeAll();
+			});
+	})
+		.catch(function(err) {
+			io.error('porqpine: ' + (err.migration ? err.migration + ' failed: ' : '') + err.message);
+			return 1;
+		});
+};
+
+function migrate(args, io) {
+	var options = _.extend(_.omit(args, 'command', 'action'), { log: io.log });
+	if (!options.db || !connectionString.isConnectionString(options.db))
+	{
+		var config = porqpine.configFromEnv(null, io.env);
+		options.db = options.db || config.uri;
+		if (!options.db)
+		{
+			throw new Error('No database was given: pass --db, or set MONGO_URI\n\n' + USAGE);
+		}
+		porqpine.setConfig(config);
+	}
+	return porqpine.migrate(args.action, options)
+		.then(function(result) {
+			if (args.action === 'status')
+			{
+				_.each(result, function(status) {
+					io.log((status.appliedAt ? 'applied ' + status.appliedAt.toISOString() : 'pending') + '  ' + status.name + (status.missing ? ' (missing)' : ''));
+				});
+			}
+			else if (!result.length)
+			{
+				io.log('No migrations to run');
+			}
+		});
+}
+
+function parseArgs(argv) {
+	var args = {};
+	var positional = [];
+	for (var i = 0; i < argv.length; i++)
+	{
+		if (argv[i] === '--help' || argv[i] === '-h')
+		{
+			return { help: true };
+		}
+		var parts = argv[i].split('=');
+		var flag = FLAGS[parts[0]];
+		if (!flag)
+		{
+			if (argv[i].charAt(0) === '-')
+			{
+				throw new Error('Unknown option: ' + argv[i] + '\n\n' + USAGE);
+			}
+			positional.push(argv[i]);
+			continue;
+		}
+		var value = flag.isSwitch ? true : (parts.length > 1 ? parts.slice(1).join('=') : argv[++i]);
+		if (value === undefined)
+		{
+			throw new Error(parts[0] + ' needs a value');
+		}
+		args[flag.key] = flag.parse ? flag.parse(value, parts[0]) : value;
+	}
+	if (positional[0] !== 'migrate')
+	{
+		throw new Error((positional.length ? 'Unknown command: ' + positional[0] : 'No command was given') + '\n\n' + USAGE);
+	}
+	args.command = positional[0];
+	args.action = positional[1] || 'up';
+	return args;
+}
+
+function parseInteger(value, flag) {
+	if (!/^\d+$/.test(value))
+	{
+		throw new Error(flag + ' must be a whole number');
+	}
+	return parseInt(value, 10);
+}
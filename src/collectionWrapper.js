@@ -3,21 +3,284 @@
 var Promise = require('bluebird');
 var crypto = require('crypto');
 var _ = require('lodash');
+var BSON = require('mongodb').BSONPure.BSON;
+var LruCache = require('./lruCache');
+var CachedCursor = require('./cachedCursor');
+var cursorHelpers = require('./cursorHelpers');
+var pagination = require('./pagination');
+var cacheKey = require('./cacheKey');
+var operationTracker = require('./operationTracker');
+var instrumentation = require('./instrumentation');
+var MAX_CACHE_ENTRY_SIZE = 15 * 1024 * 1024; //leaves some headroom under mongo's 16MB document limit
+// the state kept for each connection is keyed by getConnectionKey, since two clusters can both have a db of the same name
+var cacheIndexPromises = {};
+var knownCacheCollections = {}; //keyed by connection, then by cacheCollectionName
+var inFlightQueries = {};
+var connectionCount = 0;
+var memoryCache = null;
+var cacheDefaults = {};
+var cacheStats = newCacheStats();
+var WRITE_CONCERN_KEYS = [ 'w', 'wtimeout', 'j', 'fsync' ];
+var ROUTING_OPTION_KEYS = [ 'readPreference' ];
+var READ_CONCERN_UNSUPPORTED = 'The readConcern option is not supported by the 1.4 driver, which can\'t send a read concern to the server';
+// the functions that take a callback, which return a promise instead when called without one in promise mode. see exports.wrap
+var ASYNC_COLLECTION_FUNCTIONS = [
+	'insert', 'remove', 'rename', 'save', 'update', 'distinct', 'count', 'drop', 'findAndModify', 'findAndRemove', 'findOne',
+	'createIndex', 'ensureIndex', 'indexInformation', 'dropIndex', 'dropAllIndexes', 'dropIndexes', 'reIndex', 'mapReduce', 'group',
+	'options', 'isCapped', 'indexExists', 'geoNear', 'geoHaystackSearch', 'indexes', 'aggregate', 'stats', 'parallelCollectionScan',
+	'cachedAggregate', 'cachedMapReduce', 'cachedFind', 'cachedCount', 'cachedDistinct', 'paginate'
+];
+var ASYNC_CURSOR_FUNCTIONS = [ 'toArray', 'get', 'getOne', 'nextObject', 'next', 'count', 'explain', 'close' ];
+var promiseMode = null;
+var wrappedCollections = []; //every Collection 'Class' that's been wrapped, so promise mode can apply to each
+// describe the operations on a collection, for the operationTracker (see trackAsyncMethods) and for instrumentation
+// (see instrumentAsyncMethods), respectively
+var COLLECTION_DESCRIBERS = {
+	describeOperation: function(collection, operation) {
+		return { operation: operation, namespace: collection.db && collection.db.databaseName + '.' + collection.collectionName };
+	},
+	describeCall: function(collection, method, args) {
+		if (/^cached/.test(method))
+		{
+			return null; //they report themselves, along with how they used the cache. see runCachedQuery
+		}
+		return { db: collection.db && collection.db.databaseName, collection: collection.collectionName, method: method, args: args };
+	}
+};
+// the position of the options argument of each function that takes the writeConcern option (and refuses readConcern), not counting
+// the callback. a list of positions means the last one given, and a negative position counts from the end
+var OPTIONS_ARG_POSITIONS = {
+	insert: 1,
+	update: 2,
+	remove: 1,
+	findAndModify: 3,
+	find: [ 1, 2 ],
+	aggregate: -1,
+	count: 1,
+	distinct: 2,
+	mapReduce: 2
+};
 
-exports.wrap = function(Collection) {
-
-	if (Collection.prototype.__is_wrapped__)
+/**
+ * Wraps the Collection 'Class': bluebird's promisifyAll is called on its prototype (so every function has a promisified *Async
+ * counterpart), the cursors it returns are promisified too, and the cached query functions are added. Calling it again doesn't
+ * re-wrap it, but can still turn on promise mode.
+ *
+ * @param   {Function}   Collection    the driver's Collection
+ * @param   {Object}     opt_options   (optional) An object containing any of the following keys:
+ *                                       - promises: {boolean} if true, turns on promise mode, where the functions that take a callback
+ *                                           (including those of the cursors from find and aggregate, and the cached query functions)
+ *                                           return a promise when they're called without one. Callbacks work the same as ever
+ *                                       - Promise: {Function} the Promise constructor that promise mode uses. defaults to the global
+ *                                           Promise, or to bluebird's if there isn't one
+ */
+exports.wrap = function(Collection, opt_options) {
+	if (!Collection.prototype.__is_wrapped__) //don't re-wrap Collection. bad things happen.
+	{
+		wrapCollection(Collection);
+	}
+	if (opt_options && opt_options.promises)
 	{
-		return; //don't re-wrap Collection. bad things happen.
+		enablePromiseMode(opt_options.Promise || global.Promise || Promise);
 	}
+};
+
+function wrapCollection(Collection) {
 	ensurePromisifiedCursor(Collection, 'find');
 	ensurePromisifiedCursor(Collection, 'aggregate');
+	// save() and findAndRemove() delegate to these, so they're covered too
+	ensureCacheInvalidation(Collection, 'insert');
+	ensureCacheInvalidation(Collection, 'update');
+	ensureCacheInvalidation(Collection, 'remove');
+	ensureCacheInvalidation(Collection, 'findAndModify');
+	_.each(OPTIONS_ARG_POSITIONS, function(position, funcName) {
+		ensureConcernOptions(Collection, funcName, position);
+	});
 
 	Collection.prototype.cachedAggregate = cachedAggregate;
 	Collection.prototype.cachedMapReduce = cachedMapReduce;
+	Collection.prototype.cachedFind = cachedFind;
+	Collection.prototype.cachedCount = cachedCount;
+	Collection.prototype.cachedDistinct = cachedDistinct;
+	Collection.prototype.paginate = paginate;
 
 	Promise.promisifyAll(Collection.prototype);
+	operationTracker.trackAsyncMethods(Collection.prototype, COLLECTION_DESCRIBERS.describeOperation);
+	instrumentation.instrumentAsyncMethods(Collection.prototype, COLLECTION_DESCRIBERS.describeCall);
 	Collection.prototype.__is_wrapped__ = true;
+	wrappedCollections.push(Collection);
+	if (promiseMode)
+	{
+		makePromiseReturning(Collection);
+	}
+}
+
+/**
+ * Turns on promise mode (see exports.wrap) for every wrapped Collection (including those wrapped later on),
+ * or just changes the Promise constructor it uses if it's already on
+ */
+function enablePromiseMode(PromiseImpl) {
+	if (!promiseMode)
+	{
+		_.each(wrappedCollections, makePromiseReturning);
+		_.each(ASYNC_CURSOR_FUNCTIONS, function(funcName) {
+			ensurePromiseReturning(CachedCursor.prototype, funcName, null);
+		});
+	}
+	promiseMode = { Promise: PromiseImpl };
+}
+
+function makePromiseReturning(Collection) {
+	_.each(ASYNC_COLLECTION_FUNCTIONS, function(funcName) {
+		ensurePromiseReturning(Collection.prototype, funcName, COLLECTION_DESCRIBERS, funcName === 'aggregate' ? returnsAggregationCursor : null);
+	});
+}
+
+/**
+ * Returns a view of the given db whose collection() gives collections the given defaults, which any options passed
+ * to collection() itself take precedence over. The view shares everything else (including the connection) with the db.
+ * Views are kept on the db, so the same defaults always get the same view.
+ *
+ * @param   {Object}   db         the db
+ * @param   {Object}   defaults   An object containing any of the following keys:
+ *                                  - readPreference: {string} e.g. 'secondaryPreferred'
+ *                                  - writeConcern: {Object} any of w, wtimeout, j and fsync
+ * @returns {Object}   the view, or the db itself if there are no defaults
+ */
+exports.withCollectionDefaults = function(db, defaults) {
+	defaults = _.pick(defaults || {}, function(value) { return value != null; });
+	checkNoReadConcern(defaults);
+	if (_.isEmpty(defaults))
+	{
+		return db;
+	}
+	var viewKey = JSON.stringify(defaults);
+	getConnectionKey(db); //so the views inherit it
+	db._porqpineViews = db._porqpineViews || {};
+	if (!db._porqpineViews[viewKey])
+	{
+		var view = Object.create(db);
+		view.collection = function(collectionName, opt_options, opt_callback) {
+			var callback = _.isFunction(opt_options) ? opt_options : opt_callback;
+			var options = _.extend(toDriverOptions(defaults), toDriverOptions(_.isFunction(opt_options) ? null : opt_options));
+			checkNoReadConcern(options);
+			var args = [ collectionName, options ];
+			if (callback)
+			{
+				args.push(callback);
+			}
+			return db.collection.apply(view, args);
+		};
+		db._porqpineViews[viewKey] = view;
+	}
+	return db._porqpineViews[viewKey];
+};
+
+/**
+ * Removes all cached entries that are tagged with any of the given tags. Every cached entry is implicitly
+ * tagged with the name of the collection it was computed from, in addition to any cacheOptions.tags.
+ *
+ * @param   {Object}         db                      the db whose cache collection(s) should be invalidated
+ * @param   {Array|string}   tags                    the tag(s) to invalidate
+ * @param   {string}         opt_cacheCollectionName (optional) the cache collection to invalidate. If omitted,
+ *                                                     'queryCache' and every cache collection used by this process are invalidated
+ * @returns {Promise}        resolved once all matching entries have been removed
+ */
+exports.invalidateCacheTags = function(db, tags, opt_cacheCollectionName) {
+	return removeCacheEntries(db, getCacheCollectionNames(db, opt_cacheCollectionName), { tags: tags });
+};
+
+/**
+ * Lists the cached entries (but not their actual results) in a db's cache collection(s), most recent first.
+ *
+ * @param   {Object}         db                      the db whose cache collection(s) should be listed
+ * @param   {Object}         criteria                (optional) An object containing any of the following keys:
+ *                                                     - collection: {string} only list entries computed from this collection
+ *                                                     - tags: {Array|string} only list entries with any of these tags
+ *                                                     - olderThan: {number} only list entries cached more than this many seconds ago
+ * @param   {string}         opt_cacheCollectionName (optional) the cache collection to list. If omitted,
+ *                                                     'queryCache' and every cache collection used by this process are listed
+ * @returns {Promise}        resolved with an array of objects, each with the following keys:
+ *                             cacheCollection, queryHash, queryType, sourceCollection, tags, cachedAt, expiresAt,
+ *                             age (in seconds), size (of the result, in bytes, if known) and chunks (the number of chunks the result is split into)
+ */
+exports.listCacheEntries = function(db, criteria, opt_cacheCollectionName) {
+	var selector = toCacheSelector(criteria || {});
+	selector.queryHash = { $exists: true }; //skips chunks and locks
+	var now = Date.now();
+	return Promise.all(_.map(getCacheCollectionNames(db, opt_cacheCollectionName), function(cacheCollectionName) {
+			return db.collection(cacheCollectionName).find(selector, { cachedResult: 0 }).sort({ cachedAt: -1 }).toArrayAsync()
+				.then(function(cacheEntries) {
+					return _.map(cacheEntries, function(cacheEntry) {
+						return {
+							cacheCollection: cacheCollectionName,
+							queryHash: cacheEntry.queryHash,
+							queryType: cacheEntry.queryType,
+							sourceCollection: cacheEntry.sourceCollection,
+							tags: cacheEntry.tags || [],
+							cachedAt: cacheEntry.cachedAt,
+							expiresAt: cacheEntry.expiresAt,
+							age: _.isDate(cacheEntry.cachedAt) ? (now - cacheEntry.cachedAt.getTime()) / 1000 : null,
+							size: _.isNumber(cacheEntry.resultSize) ? cacheEntry.resultSize : null,
+							chunks: cacheEntry.chunks ? cacheEntry.chunks.count : 0
+						};
+					});
+				});
+		}))
+		.then(function(cacheEntryLists) {
+			return _.flatten(cacheEntryLists, true);
+		});
+};
+
+/**
+ * Removes the cached entries matching the given criteria from a db's cache collection(s) (and from the memory cache).
+ * With no criteria, the cache collection(s) are emptied entirely.
+ *
+ * @param   {Object}         db                      the db whose cache collection(s) should be purged
+ * @param   {Object}         criteria                (optional) the same criteria as exports.listCacheEntries takes
+ * @param   {string}         opt_cacheCollectionName (optional) the cache collection to purge. If omitted,
+ *                                                     'queryCache' and every cache collection used by this process are purged
+ * @returns {Promise}        resolved once all matching entries have been removed
+ */
+exports.purgeCache = function(db, criteria, opt_cacheCollectionName) {
+	return removeCacheEntries(db, getCacheCollectionNames(db, opt_cacheCollectionName), criteria || {});
+};
+
+/**
+ * Returns the counts of cache hits (of which memoryHits were served by the memory cache), staleHits (served while
+ * being refreshed in the background), misses and refreshes (forced by forceUpdateCache, or in the background),
+ * collected by all the cached query functions since the last reset.
+ * The same counts are also broken down under byCollection, keyed by 'dbName.collectionName'.
+ */
+exports.getCacheStats = function() {
+	return _.cloneDeep(cacheStats);
+};
+
+exports.resetCacheStats = function() {
+	cacheStats = newCacheStats();
+};
+
+/**
+ * Sets default cacheOptions for every cached query function call. Options given to a call take precedence.
+ * e.g. setting a new cacheKeyVersion on each deploy makes every previously cached result a miss.
+ *
+ * @param   {Object}   defaults   any of the cacheOptions that cachedAggregate takes
+ */
+exports.setCacheDefaults = function(defaults) {
+	cacheDefaults = _.clone(defaults || {});
+};
+
+/**
+ * Turns on (or off) the in-process memory cache that sits in front of the cache collections. Entries in it
+ * are subject to the same maxAge and forceUpdateCache options, and to invalidation by writes made in this process.
+ * Results served from it are shared between callers, so they shouldn't be mutated.
+ *
+ * @param   {Object}   options   An object containing any of the following keys, or a falsy value to turn the memory cache off:
+ *                                 - maxEntries: {number} the max number of results to hold in memory. defaults to 1000
+ *                                 - maxBytes: {number} the max approximate size (in bytes) of all results held in memory. defaults to 64MB
+ */
+exports.setMemoryCacheOptions = function(options) {
+	memoryCache = options ? new LruCache(options) : null;
 };
 
 /**
@@ -41,16 +304,227 @@ function ensurePromisifiedCursor(ClassObj, funcName) {
 		{
 			var lastArg = args.pop(); //remove the original
 			args.push(function(err, c) {
-				c && _.isFunction(c.toArray) && Promise.promisifyAll(c); //if it's a cursor, promisify it
+				isCursor(c) && promisifyCursor(c, that); //if it's a cursor, promisify it
 				lastArg.call(null, err, c);
 			});
 		}
 		var cursor = that[renamedOrigFunc].apply(that, args);
-		cursor && _.isFunction(cursor.toArray) && Promise.promisifyAll(cursor);
+		isCursor(cursor) && promisifyCursor(cursor, that);
 		return cursor;
 	};
 }
 
+/**
+ * Given a Collection, and a name of a function on that Collection's prototype...
+ * this will wrap that function so that its options can give a writeConcern object (e.g. { w: 'majority', wtimeout: 5000 }),
+ * rather than the separate w, wtimeout, j and fsync options that the driver takes. A readConcern option throws. see checkNoReadConcern
+ *
+ * @param   {Object}        ClassObj   the Collection 'Class'
+ * @param   {string}        funcName   the name of the function on the prototype to wrap
+ * @param   {number|Array}  position   the position of its options argument. see OPTIONS_ARG_POSITIONS
+ */
+function ensureConcernOptions(ClassObj, funcName, position) {
+	var origFunc = ClassObj.prototype[funcName];
+	ClassObj.prototype[funcName] = function() {
+		var args = Array.prototype.slice.call(arguments);
+		var index = getOptionsIndex(_.isFunction(_.last(args)) ? _.initial(args) : args, position);
+		var options = args[index];
+		checkNoReadConcern(options);
+		if (_.isPlainObject(options) && _.has(options, 'writeConcern'))
+		{
+			args[index] = toDriverOptions(options);
+		}
+		return origFunc.apply(this, args);
+	};
+}
+
+/**
+ * Finds the options argument among the arguments of a call (not counting its callback)
+ *
+ * @param   {Array}         args       the arguments, without the callback
+ * @param   {number|Array}  position   the position of the options argument. see OPTIONS_ARG_POSITIONS
+ * @returns {number}        the index of the options argument, or -1 if it wasn't given
+ */
+function getOptionsIndex(args, position) {
+	var index = _.isArray(position) ? _.findLast(position, function(i) { return i < args.length; }) : position;
+	index = (index < 0) ? args.length + index : index;
+	return (index >= 0 && index < args.length) ? index : -1;
+}
+
+/**
+ * Throws if the given options have a readConcern, which would otherwise be quietly ignored: the 1.4 driver can't send it,
+ * so reads would use the server's default read concern while the caller believes they asked for another
+ */
+function checkNoReadConcern(options) {
+	if (_.isPlainObject(options) && _.has(options, 'readConcern'))
+	{
+		throw new Error(READ_CONCERN_UNSUPPORTED);
+	}
+}
+
+/**
+ * Spreads the writeConcern option out into the separate options that the driver takes. They take precedence over
+ * any w, wtimeout, j or fsync given alongside it
+ */
+function toDriverOptions(options) {
+	if (!options)
+	{
+		return {};
+	}
+	return _.extend(_.omit(options, 'writeConcern'), _.pick(options.writeConcern || {}, WRITE_CONCERN_KEYS));
+}
+
+function promisifyCursor(cursor, collection) {
+	var describers = getCursorDescribers(collection);
+	if (!_.isFunction(cursor.toArray) && _.isFunction(cursor.get))
+	{
+		cursor.toArray = cursor.get; //aggregation cursors call it get
+	}
+	Promise.promisifyAll(cursor);
+	cursorHelpers.addTo(cursor);
+	operationTracker.trackAsyncMethods(cursor, describers.describeOperation);
+	instrumentation.instrumentAsyncMethods(cursor, describers.describeCall);
+	if (promiseMode)
+	{
+		_.each(ASYNC_CURSOR_FUNCTIONS, function(funcName) {
+			ensurePromiseReturning(cursor, funcName, describers);
+		});
+	}
+}
+
+/**
+ * Tells cursors (including aggregation cursors, which have get() and next() instead of toArray() and nextObject()) apart from results
+ */
+function isCursor(result) {
+	return !!result && !_.isArray(result) && (_.isFunction(result.toArray) || _.isFunction(result.next));
+}
+
+/**
+ * Same as COLLECTION_DESCRIBERS, for the operations on a cursor from the given collection
+ * (aggregation cursors don't keep track of their collection themselves)
+ */
+function getCursorDescribers(collection) {
+	return {
+		describeOperation: function(cursor, operation) {
+			return COLLECTION_DESCRIBERS.describeOperation(collection, 'cursor.' + operation);
+		},
+		describeCall: function(cursor, method, args) {
+			return COLLECTION_DESCRIBERS.describeCall(collection, 'cursor.' + method, args);
+		}
+	};
+}
+
+/**
+ * Given an object (or prototype), and a name of a function on it that takes a callback...
+ * this will wrap that function so that, when it's called without a callback, it returns a promise (made with promise mode's
+ * Promise constructor) for the result instead. Like the promisified *Async functions, the promise resolves with an array
+ * if the callback is given more than one result, and the operation is tracked (and instrumented) until it settles.
+ *
+ * @param   {Object}     obj                    the object whose function to wrap
+ * @param   {string}     funcName               the name of the function. objects that don't have it are left alone
+ * @param   {Object}     opt_describers         (optional) describes the operation for tracking and instrumentation. see COLLECTION_DESCRIBERS
+ * @param   {Function}   opt_isSynchronousCall  (optional) called with the arguments of a call without a callback, returning true if
+ *                                                that call returns its result right away (like an aggregate with the cursor option)
+ */
+function ensurePromiseReturning(obj, funcName, opt_describers, opt_isSynchronousCall) {
+	var origFunc = obj[funcName];
+	if (!_.isFunction(origFunc) || origFunc.__returnsPromise__)
+	{
+		return;
+	}
+	var promiseReturning = function() {
+		var that = this;
+		var args = Array.prototype.slice.call(arguments);
+		if (_.isFunction(_.last(args)) || (opt_isSynchronousCall && opt_isSynchronousCall(args)))
+		{
+			return origFunc.apply(that, args);
+		}
+		var result = new promiseMode.Promise(function(resolve, reject) {
+			origFunc.apply(that, args.concat(function(err, res) {
+				if (err)
+				{
+					reject(err);
+				}
+				else
+				{
+					resolve(arguments.length > 2 ? Array.prototype.slice.call(arguments, 1) : res);
+				}
+			}));
+		});
+		if (opt_describers)
+		{
+			operationTracker.track(Promise.resolve(result), opt_describers.describeOperation(that, funcName)).catch(_.noop); //the caller handles its own errors
+			var call = opt_describers.describeCall(that, funcName, args);
+			if (call)
+			{
+				instrumentation.measure(result, call);
+			}
+		}
+		return result;
+	};
+	promiseReturning.__returnsPromise__ = true;
+	obj[funcName] = promiseReturning;
+}
+
+function returnsAggregationCursor(args) {
+	var options = _.last(args);
+	return _.isPlainObject(options) && options.cursor != null && options.out == null;
+}
+
+/**
+ * Given a Collection, and a name of a write function on that Collection's prototype...
+ * this will wrap that function so that, once the write completes, any cached query results
+ * that were computed from (or tagged with the name of) the written collection are removed from
+ * the cache collections this process has cached query results into, for the same connection.
+ *
+ * The callback isn't called until the invalidation is done, so a cached query made afterward won't
+ * see a stale entry. A failed invalidation doesn't fail the write, since the write itself already happened.
+ * Only acknowledged writes that are given a callback invalidate anything: without one, no one finds out when the
+ * write is done, and an unacknowledged (w: 0) write calls back before it's applied, so a cached query could re-cache
+ * the old results right after the invalidation.
+ *
+ * @param   {Object}  ClassObj   the Collection 'Class'
+ * @param   {string}  funcName   the name of the write function on the prototype to wrap
+ */
+function ensureCacheInvalidation(ClassObj, funcName) {
+	var renamedOrigFunc = '_' + funcName;
+	ClassObj.prototype[renamedOrigFunc] = ClassObj.prototype[funcName];
+	ClassObj.prototype[funcName] = function() {
+		var that = this;
+		var args = Array.prototype.slice.call(arguments);
+		var cacheCollectionNames = _.keys(knownCacheCollections[getConnectionKey(that.db)]);
+		if (!cacheCollectionNames.length || _.contains(cacheCollectionNames, that.collectionName) || !_.isFunction(_.last(args)) ||
+			!isAcknowledgedWrite(that, args[getOptionsIndex(_.initial(args), OPTIONS_ARG_POSITIONS[funcName])]))
+		{
+			return that[renamedOrigFunc].apply(that, args); //nothing cached on this connection yet, a write to the cache itself, or no one to wait for
+		}
+		var invalidate = function() {
+			return removeCacheEntries(that.db, cacheCollectionNames, { tags: [ that.collectionName ] }).catch(_.noop);
+		};
+		var callback = args.pop();
+		args.push(function() {
+			var callbackArgs = arguments;
+			invalidate().done(function() {
+				callback.apply(null, callbackArgs);
+			});
+		});
+		return that[renamedOrigFunc].apply(that, args);
+	};
+}
+
+/**
+ * Whether the driver waits for the server to apply a write before calling back, going by the w of the write's options,
+ * or else of the collection's. Anything but w: 0 is acknowledged, as it is by default
+ */
+function isAcknowledgedWrite(collection, options) {
+	var w = _.isPlainObject(options) ? options.w : null;
+	if (w == null && collection.opts)
+	{
+		w = collection.opts.w;
+	}
+	return w !== 0;
+}
+
 /**
  * Performs a mongo aggregate query, but attempts to find a cached result for the query before running it,
  * then if not, runs the query and stores the result in the cache afterward
@@ -60,6 +534,29 @@ function ensurePromisifiedCursor(ClassObj, funcName) {
  *                                                    use when reading/writing the cached results
  *                                               - forceUpdateCache: {boolean} if true, re-run the query and
  *                                                   update the cache, regardless if a cached entry exists already
+ *                                               - maxAge: {number} the max age (in seconds) of a usable cached entry.
+ *                                                   older entries are treated as cache misses
+ *                                               - ensureExpiryIndex: {boolean} if true, ensure a TTL index exists on the
+ *                                                   cache collection, so that mongo purges entries once their maxAge is up
+ *                                               - tags: {Array} extra tags for the cached entry (e.g. the names of other collections
+ *                                                   the query depends on). see exports.invalidateCacheTags
+ *                                               - distributedLock: {boolean} if true, take a lock document in the cache collection
+ *                                                   before running the query, so other processes wait for the result instead of running it too
+ *                                               - lockTimeout: {number} how long (in seconds) a lock is honored before it's considered
+ *                                                   abandoned. defaults to 60
+ *                                               - lockPollInterval: {number} how often (in milliseconds) to check the cache while
+ *                                                   waiting on another process's lock. defaults to 250
+ *                                               - memoryCache: {boolean} set to false to bypass the in-process memory cache for this
+ *                                                   query. see exports.setMemoryCacheOptions
+ *                                               - chunkSize: {number} the max size (in bytes) of a cache document. Array results bigger
+ *                                                   than this are split across several chunk documents. defaults to 15MB
+ *                                               - cacheKeyVersion: {string} is part of every cache key, so changing it makes all
+ *                                                   previously cached results misses. see exports.setCacheDefaults
+ *                                               - staleWhileRevalidate: {boolean|number} if set, an entry older than maxAge is still
+ *                                                   returned right away, while the query is re-run in the background to refresh it.
+ *                                                   a number limits how many seconds past its maxAge an entry can be returned
+ *                                               - onRefreshError: {Function} called with (err, { sourceCollection, queryType, queryHash })
+ *                                                   if a background refresh fails. defaults to logging the error with console.error
  *                                             Or, as syntactic sugar you can just pass the cacheCollectionName in as a string
  *                                             instead of the cacheOptions object.
  *
@@ -67,6 +564,10 @@ function ensurePromisifiedCursor(ClassObj, funcName) {
  *                                               - see http://mongodb.github.io/node-mongodb-native/api-generated/collection.html#aggregate
  *
  * @param   {Object}           options         (optional) An object containing options for the aggregation. See documentation for this, too
+ *                                               - if the cursor option is given, the (cached) result is replayed through a promisified,
+ *                                                 cursor-like object, rather than passed back as an array. see CachedCursor
+ *                                               - the readPreference option overrides the collection's for the query,
+ *                                                 but isn't part of the cache key, so cached results are shared regardless of it
  *
  * @param   {Function}         callback        The callback function for when the query completes.
  *                                              - if successful, the result is passed in as the 2nd param to the callback
@@ -75,43 +576,39 @@ function cachedAggregate(/* cacheOptions, pipeline[, options], callback */) {
 	//jshint validthis:true
 	// -- this function is being set on the prototype of Collection, and will always have valid 'this'
 	var origCollection = this;
-	var db = this.db;
 	var params = parseCacheFuncParams(arguments);
-	var argsHash = hashQueryArgs(params.queryArgsArray);
-	var cacheCollection = db.collection(params.cacheOptions.cacheCollectionName || 'queryCache');
+	var options = _.last(params.queryArgsArray);
+	var usesCursor = _.isPlainObject(options) && options.cursor != null && options.out == null;
 
-	cacheCollection.findOneAsync({ queryHash: argsHash })
-		.then(function(cacheEntry) {
-			if (!_.isEmpty(cacheEntry) && !params.cacheOptions.forceUpdateCache)
+	runCachedQuery(origCollection, params, {
+		type: 'aggregate',
+		// where the query is read from doesn't change what it's asking for, so the same cached result serves every read preference
+		keyArgs: _.isPlainObject(options) ? _.initial(params.queryArgsArray).concat(_.omit(options, ROUTING_OPTION_KEYS)) : null,
+		replayAsCursor: usesCursor,
+		runQuery: function() {
+			if (!usesCursor)
 			{
-				params.callback(null, cacheEntry.cachedResult);
+				return origCollection.aggregateAsync.apply(origCollection, params.queryArgsArray);
 			}
-			else
-			{
-				origCollection.aggregateAsync.apply(origCollection, params.queryArgsArray)
-					.then(function(results) {
-						saveResultToCache(cacheCollection, argsHash, results, function(err) {
-							params.callback(err, results);
-						});
-					})
-					.catch(params.callback);
-			}
-		})
-		.catch(params.callback);
+			// the driver writes the pipeline into options.cursor, so give it a copy instead of changing the caller's options
+			var cursorOptions = _.extend({}, options, { cursor: _.isObject(options.cursor) ? _.clone(options.cursor) : {} });
+			var cursor = origCollection.aggregate.apply(origCollection, _.initial(params.queryArgsArray).concat(cursorOptions));
+			return Promise.promisify(cursor.get, cursor)();
+		}
+	});
 }
 
 
 /**
  * Performs a mongo mapReduce query, but attempts to find a cached result for the query before running it,
- * then if not, runs the query and stores the resulting collectionName in the cache afterward
+ * then if not, runs the query and stores the resulting collectionName in the cache afterward.
+ * A cached output collection that no longer exists is treated as a cache miss.
  *
- * @param   {Object|string}    cacheOptions    An object containing any of the following keys:
- *                                               - cacheCollectionName: {string} the name of the collection to
- *                                                    use when reading/writing the cached results
- *                                               - forceUpdateCache: {boolean} if true, re-run the query and
- *                                                   update the cache, regardless if a cached entry exists already
- *                                             Or, as syntactic sugar you can just pass the cacheCollectionName in as a string
- *                                             instead of the cacheOptions object.
+ * @param   {Object|string}    cacheOptions    The same cacheOptions (or cacheCollectionName string) as cachedAggregate takes, plus:
+ *                                               - uniqueOutputCollection: {boolean} if true, each cached result gets an output collection
+ *                                                   of its own, named after the out option with a random suffix, so it can't be overwritten
+ *                                                   by another mapReduce. These collections are dropped once their cached entry is
+ *                                                   replaced, invalidated or purged (but not when mongo expires it, see ensureExpiryIndex)
  *
  * @param   {Function}         map             The map function for the mapReduce
  *                                               - see http://mongodb.github.io/node-mongodb-native/api-generated/collection.html#aggregate
@@ -130,63 +627,741 @@ function cachedMapReduce(/* cacheOptions, map, reduce[, options], callback */) {
 	var origCollection = this;
 	var db = this.db;
 	var params = parseCacheFuncParams(arguments);
-	var argsHash = hashQueryArgs(params.queryArgsArray);
-	var cacheCollection = db.collection(params.cacheOptions.cacheCollectionName || 'queryCache');
-	var usesInlineOutput = params.queryArgsArray[2] && params.queryArgsArray[2].out && params.queryArgsArray[2].out.inline || false;
+	var out = params.queryArgsArray[2] && params.queryArgsArray[2].out;
+	var usesInlineOutput = out && out.inline || false;
+	var outputDb = (out && out.db) ? db.db(out.db) : db;
+	var usesUniqueOutput = !usesInlineOutput && params.cacheOptions.uniqueOutputCollection;
+
+	runCachedQuery(origCollection, params, {
+		type: 'mapReduce',
+		runQuery: function() {
+			if (!usesUniqueOutput)
+			{
+				return origCollection.mapReduceAsync.apply(origCollection, params.queryArgsArray);
+			}
+			// the cache key is built from the caller's out option, so only the query that's actually run gets the unique name
+			var queryArgs = params.queryArgsArray.slice();
+			queryArgs[2] = _.extend({}, queryArgs[2], { out: toUniqueOutput(out) });
+			return origCollection.mapReduceAsync.apply(origCollection, queryArgs);
+		},
+		toCachedResult: function(result) {
+			return usesInlineOutput ? result : (result && result.collectionName);
+		},
+		fromCachedResult: function(cachedResult) {
+			return usesInlineOutput ? cachedResult : outputDb.collection(cachedResult);
+		},
+		verifyCachedResult: usesInlineOutput ? null : function(cachedResult) {
+			return Promise.promisify(outputDb.collectionNames, outputDb)(cachedResult)
+				.then(function(collections) {
+					return !_.isEmpty(collections);
+				});
+		},
+		getOutputCollection: !usesUniqueOutput ? null : function(cachedResult) {
+			return _.isString(cachedResult) ? { outputCollection: cachedResult, outputDb: outputDb.databaseName } : null;
+		}
+	});
+}
+
+/**
+ * Gives a mapReduce out option a randomly-suffixed collection name. Merge and reduce output is meant to
+ * build on what's already in the collection, so it's left as is.
+ */
+function toUniqueOutput(out) {
+	var suffix = '_' + crypto.randomBytes(6).toString('hex');
+	if (_.isString(out))
+	{
+		return out + suffix;
+	}
+	if (out && _.isString(out.replace))
+	{
+		return _.extend({}, out, { replace: out.replace + suffix });
+	}
+	return out;
+}
+
+/**
+ * Performs a mongo find query, but attempts to find a cached result for the query before running it,
+ * then if not, runs the query and stores the resulting array of documents in the cache afterward.
+ * Any cursor modifiers (sort, skip, limit, fields, etc.) must be given in the options, so they're part of the cached query.
+ *
+ * @param   {Object|string}    cacheOptions    The same cacheOptions (or cacheCollectionName string) as cachedAggregate takes
+ *
+ * @param   {Object}           selector        The query selector. same as the native driver's find
+ *
+ * @param   {Object}           fields          (optional) The fields to return (or exclude). same as the native driver's find
+ *
+ * @param   {Object}           options         (optional) An object containing options for the find, such as sort, skip, and limit.
+ *                                               - see http://mongodb.github.io/node-mongodb-native/api-generated/collection.html#find
+ *
+ * @param   {Function}         callback        The callback function for when the query completes.
+ *                                              - if successful, the array of documents is passed in as the 2nd param to the callback
+ */
+function cachedFind(/* cacheOptions, selector[, fields][, options], callback */) {
+	//jshint validthis:true
+	// -- this function is being set on the prototype of Collection, and will always have valid 'this'
+	var origCollection = this;
+	var params = parseCacheFuncParams(arguments);
+
+	runCachedQuery(origCollection, params, {
+		type: 'find',
+		runQuery: function() {
+			return origCollection.find.apply(origCollection, params.queryArgsArray).toArrayAsync();
+		}
+	});
+}
+
+
+/**
+ * Performs a mongo count query, but attempts to find a cached result for the query before running it,
+ * then if not, runs the query and stores the resulting count in the cache afterward
+ *
+ * @param   {Object|string}    cacheOptions    The same cacheOptions (or cacheCollectionName string) as cachedAggregate takes
+ *
+ * @param   {Object}           query           (optional) The query selector for the documents to count
+ *
+ * @param   {Object}           options         (optional) An object containing options for the count, such as skip and limit.
+ *                                               - see http://mongodb.github.io/node-mongodb-native/api-generated/collection.html#count
+ *
+ * @param   {Function}         callback        The callback function for when the query completes.
+ *                                              - if successful, the count is passed in as the 2nd param to the callback
+ */
+function cachedCount(/* cacheOptions[, query][, options], callback */) {
+	//jshint validthis:true
+	// -- this function is being set on the prototype of Collection, and will always have valid 'this'
+	var origCollection = this;
+	var params = parseCacheFuncParams(arguments);
+
+	runCachedQuery(origCollection, params, {
+		type: 'count',
+		runQuery: function() {
+			return origCollection.countAsync.apply(origCollection, params.queryArgsArray);
+		}
+	});
+}
+
+
+/**
+ * Performs a mongo distinct query, but attempts to find a cached result for the query before running it,
+ * then if not, runs the query and stores the resulting array of values in the cache afterward
+ *
+ * @param   {Object|string}    cacheOptions    The same cacheOptions (or cacheCollectionName string) as cachedAggregate takes
+ *
+ * @param   {string}           key             The field to find distinct values of
+ *
+ * @param   {Object}           query           (optional) The query selector for the documents to look at
+ *
+ * @param   {Object}           options         (optional) An object containing options for the distinct.
+ *                                               - see http://mongodb.github.io/node-mongodb-native/api-generated/collection.html#distinct
+ *
+ * @param   {Function}         callback        The callback function for when the query completes.
+ *                                              - if successful, the array of distinct values is passed in as the 2nd param to the callback
+ */
+function cachedDistinct(/* cacheOptions, key[, query][, options], callback */) {
+	//jshint validthis:true
+	// -- this function is being set on the prototype of Collection, and will always have valid 'this'
+	var origCollection = this;
+	var params = parseCacheFuncParams(arguments);
+
+	runCachedQuery(origCollection, params, {
+		type: 'distinct',
+		runQuery: function() {
+			return origCollection.distinctAsync.apply(origCollection, params.queryArgsArray);
+		}
+	});
+}
 
-	cacheCollection.findOneAsync({ queryHash: argsHash })
+/**
+ * Finds a page of the documents matching a selector using range queries on the sort keys (keyset pagination), rather than skip,
+ * so later pages are as quick as the first. see pagination.paginate
+ *
+ * @param   {Object}     selector   The query selector. same as the native driver's find
+ *
+ * @param   {Object}     options    (optional) An object containing any of the following keys:
+ *                                    - sort: {Object} the sort spec. _id is added as the tiebreaker. defaults to { _id: 1 }
+ *                                    - limit: {number} the page size. defaults to 20
+ *                                    - page: {string} the next or previous token from the page before (omitted for the first page)
+ *                                    - fields: {Object} the fields to return (the sort keys always are)
+ *
+ * @param   {Function}   callback   The callback function for when the query completes.
+ *                                    - if successful, { items, next, previous } is passed in as the 2nd param to the callback,
+ *                                      where next and previous are the page tokens for the pages either side (or null if there isn't one)
+ */
+function paginate(selector, options, callback) {
+	//jshint validthis:true
+	if (_.isFunction(options))
+	{
+		callback = options;
+		options = null;
+	}
+	pagination.paginate(this, selector, options).nodeify(callback);
+}
+
+/**
+ * The flow shared by all the cached query functions: look up a cached result for the query, and if there isn't
+ * a usable one, run the query and cache its result. Concurrent misses for the same cached entry within this
+ * process are coalesced, so the query only runs once and every caller gets its result (or its error).
+ *
+ * @param   {Object}    origCollection   the Collection being queried
+ * @param   {Object}    params           the parsed params of the cached function. see parseCacheFuncParams
+ * @param   {Object}    query            an object with the following keys:
+ *                                         - type: {string} the type of query (e.g. 'aggregate'), which is part of its cache key
+ *                                         - keyArgs: {Array} (optional) the query args to build its cache key out of, if not all of them
+ *                                         - runQuery: {Function} runs the actual query, returning a promise for its result
+ *                                         - toCachedResult: {Function} (optional) converts the query result into what gets stored in the cache
+ *                                         - fromCachedResult: {Function} (optional) converts a stored result back into a query result
+ *                                         - replayAsCursor: {boolean} (optional) if true, the result is passed back as a CachedCursor
+ */
+function runCachedQuery(origCollection, params, query) {
+	// checked up front too, since a cached result would be passed back without the query (and its options) reaching the driver
+	checkNoReadConcern(params.queryArgsArray[getOptionsIndex(params.queryArgsArray, OPTIONS_ARG_POSITIONS[query.type])]);
+	var cache = getCacheContext(origCollection, query, params);
+	query = _.defaults(query, { toCachedResult: _.identity, fromCachedResult: _.identity });
+	var call = { //reported to the instrumentation hooks, along with how the cache was used
+		db: cache.db.databaseName,
+		collection: origCollection.collectionName,
+		method: 'cached' + query.type.charAt(0).toUpperCase() + query.type.slice(1),
+		args: params.queryArgsArray
+	};
+
+	instrumentation.measure(findCacheEntry(cache, query)
 		.then(function(cacheEntry) {
-			if (!_.isEmpty(cacheEntry) && !params.cacheOptions.forceUpdateCache)
+			if (isFreshCacheEntry(cacheEntry, cache.options) && !cache.options.forceUpdateCache)
 			{
-				var result = (usesInlineOutput) ? cacheEntry.cachedResult : db.collection(cacheEntry.cachedResult);
-				params.callback(null, result);
+				recordCacheStat(cache, 'hits');
+				call.cache = 'hit';
+				if (cache.usedMemoryCache)
+				{
+					recordCacheStat(cache, 'memoryHits');
+					call.cache = 'memoryHit';
+				}
+				return query.replayAsCursor ? openCachedCursor(cache, cacheEntry) : readCacheEntry(cache, query, cacheEntry);
 			}
-			else
+			if (isServableStaleCacheEntry(cacheEntry, cache.options) && !cache.options.forceUpdateCache)
 			{
-				origCollection.mapReduceAsync.apply(origCollection, params.queryArgsArray)
-					.then(function(result) {
-						var resultToCache = usesInlineOutput ? result : (result && result.collectionName);
-						saveResultToCache(cacheCollection, argsHash, resultToCache, function(err) {
-							params.callback(err, result);
-						});
-					})
-					.catch(params.callback);
+				recordCacheStat(cache, 'staleHits');
+				call.cache = 'staleHit';
+				refreshInBackground(cache, query);
+				return query.replayAsCursor ? openCachedCursor(cache, cacheEntry) : readCacheEntry(cache, query, cacheEntry);
 			}
+			recordCacheStat(cache, cache.options.forceUpdateCache ? 'refreshes' : 'misses');
+			call.cache = cache.options.forceUpdateCache ? 'refresh' : 'miss';
+			return runSingleFlight(cache.key, function() {
+				return cache.options.distributedLock ? runLockedQuery(cache, query, new Date()) : runAndCacheQuery(cache, query);
+			})
+			.then(function(result) {
+				return query.replayAsCursor ? CachedCursor.fromArray(result) : result;
+			});
+		}), call)
+		.nodeify(params.callback);
+}
+
+/**
+ * Looks for the query's cached entry in the memory cache first, then in the cache collection.
+ * A usable entry found in the cache collection is then kept in the memory cache, too.
+ * An entry whose result was split into chunks is only usable if all of its chunks are still there,
+ * and one whose result lives elsewhere (like a mapReduce output collection) only if query.verifyCachedResult says so.
+ * Entries in memory are trusted until their maxAge is up, without a round trip, since they're evicted when their output collection is dropped.
+ */
+function findCacheEntry(cache, query) {
+	var memoryEntry = getMemoryCacheEntry(cache);
+	if (memoryEntry)
+	{
+		cache.usedMemoryCache = true;
+		return Promise.resolve(memoryEntry);
+	}
+	return findStoredCacheEntry(cache, query);
+}
+
+function findStoredCacheEntry(cache, query) {
+	return ensureExpiryIndex(cache)
+		.then(function() {
+			return cache.collection.findOneAsync({ queryHash: cache.queryHash });
 		})
-		.catch(params.callback);
+		.then(function(cacheEntry) {
+			if (cacheEntry && cacheEntry.outputCollection)
+			{
+				cache.replacedOutput = _.pick(cacheEntry, 'outputCollection', 'outputDb'); //so it gets dropped if this entry gets replaced
+			}
+			if (!cacheEntry || !cacheEntry.chunks)
+			{
+				return verifyCacheEntry(query, cacheEntry)
+					.then(function(isValid) {
+						return isValid ? cacheEntry : null;
+					});
+			}
+			cache.hasChunks = true; //so they get cleaned up if this entry gets replaced
+			return cache.collection.countAsync({ chunkSet: cacheEntry.chunks.set })
+				.then(function(chunkCount) {
+					return (chunkCount === cacheEntry.chunks.count) ? cacheEntry : null;
+				});
+		})
+		.tap(function(cacheEntry) {
+			if (isFreshCacheEntry(cacheEntry, cache.options) && !cacheEntry.chunks) //as in saveResultToCache, chunked results stay out of memory
+			{
+				setMemoryCacheEntry(cache, cacheEntry);
+			}
+		});
+}
+
+function verifyCacheEntry(query, cacheEntry) {
+	if (!cacheEntry || !query.verifyCachedResult)
+	{
+		return Promise.resolve(true);
+	}
+	return query.verifyCachedResult(cacheEntry.cachedResult);
+}
+
+function readCacheEntry(cache, query, cacheEntry) {
+	if (!cacheEntry.chunks)
+	{
+		return Promise.resolve(query.fromCachedResult(cacheEntry.cachedResult));
+	}
+	return Promise.all(_.times(cacheEntry.chunks.count, function(index) {
+			return loadCachedChunk(cache, cacheEntry, index);
+		}))
+		.then(function(chunks) {
+			return query.fromCachedResult(_.flatten(chunks, true));
+		});
+}
+
+function openCachedCursor(cache, cacheEntry) {
+	if (!cacheEntry.chunks)
+	{
+		return CachedCursor.fromArray(cacheEntry.cachedResult);
+	}
+	return new CachedCursor(cacheEntry.chunks.count, function(index) {
+		return loadCachedChunk(cache, cacheEntry, index);
+	});
+}
+
+function loadCachedChunk(cache, cacheEntry, index) {
+	return cache.collection.findOneAsync({ chunkSet: cacheEntry.chunks.set, chunkIndex: index })
+		.then(function(chunkDoc) {
+			if (!chunkDoc)
+			{
+				throw new Error('Chunk ' + index + ' of the cached result is missing. It may have expired, or been replaced while being read');
+			}
+			return chunkDoc.cachedResult;
+		});
+}
+
+/**
+ * Re-runs the query and caches its result, without anyone waiting on it. Errors go to cacheOptions.onRefreshError.
+ * Refreshes are coalesced with any other run of the same query, so there's only ever one at a time (per process).
+ */
+function refreshInBackground(cache, query) {
+	runSingleFlight(cache.key, function() {
+		recordCacheStat(cache, 'refreshes');
+		return cache.options.distributedLock ? runLockedQuery(cache, query, new Date()) : runAndCacheQuery(cache, query);
+	})
+	.catch(function(err) {
+		var onRefreshError = cache.options.onRefreshError || logRefreshError;
+		onRefreshError(err, {
+			sourceCollection: cache.origCollection.collectionName,
+			queryType: cache.queryType,
+			queryHash: cache.queryHash
+		});
+	})
+	.done();
+}
+
+function logRefreshError(err, refresh) {
+	console.error('porqpine: background refresh of a cached ' + refresh.queryType + ' on ' + refresh.sourceCollection + ' failed:', err);
 }
 
+function runAndCacheQuery(cache, query) {
+	return query.runQuery()
+		.then(function(result) {
+			var resultToCache = query.toCachedResult(result);
+			return saveResultToCache(cache, resultToCache, query.getOutputCollection && query.getOutputCollection(resultToCache))
+				.return(result);
+		});
+}
+
+/**
+ * Runs the given function, unless a call with the same key is already in flight,
+ * in which case the promise for that call is returned instead.
+ */
+function runSingleFlight(key, run) {
+	if (!inFlightQueries[key])
+	{
+		inFlightQueries[key] = Promise.try(run)
+			.finally(function() {
+				delete inFlightQueries[key];
+			});
+	}
+	return inFlightQueries[key];
+}
+
+/**
+ * Coalesces a query across processes, by way of a lock document in the cache collection: whoever inserts
+ * the lock runs the query, while everyone else polls the cache until the result shows up. If the lock's holder
+ * dies, its lock expires after cacheOptions.lockTimeout seconds, and the next poller to notice takes over.
+ */
+function runLockedQuery(cache, query, startedAt) {
+	var lockId = 'lock:' + cache.queryHash;
+	var now = new Date();
+	var lockTimeout = (cache.options.lockTimeout || 60) * 1000;
+	return cache.collection.insertAsync({ _id: lockId, lockedAt: now, expiresAt: new Date(now.getTime() + lockTimeout) })
+		.then(function() {
+			return runAndCacheQuery(cache, query)
+				.finally(function() {
+					return cache.collection.removeAsync({ _id: lockId });
+				});
+		}, function(err) {
+			if (err.code !== 11000) //anything other than a duplicate key error means we don't know who holds the lock
+			{
+				throw err;
+			}
+			return cache.collection.removeAsync({ _id: lockId, expiresAt: { $lt: now } })
+				.delay(cache.options.lockPollInterval || 250)
+				.then(function() {
+					return cache.collection.findOneAsync({ queryHash: cache.queryHash });
+				})
+				.then(function(cacheEntry) {
+					var isNewEntry = isFreshCacheEntry(cacheEntry, cache.options) &&
+						(!cache.options.forceUpdateCache || cacheEntry.cachedAt >= startedAt);
+					return isNewEntry ? readCacheEntry(cache, query, cacheEntry) : runLockedQuery(cache, query, startedAt);
+				});
+		});
+}
 
 function parseCacheFuncParams(functionArgs) {
 	var args = Array.prototype.slice.call(functionArgs);
 	var params = { callback: args.pop() };
-	params.cacheOptions = (typeof args[0] === 'string') ? { cacheCollectionName: args[0] } : args[0];
+	params.cacheOptions = _.defaults({}, (typeof args[0] === 'string') ? { cacheCollectionName: args[0] } : args[0], cacheDefaults);
 	params.queryArgsArray = args.slice(1);
 	return params;
 }
 
-function hashQueryArgs(argsArray) {
-	var argsToHash = _.map(argsArray, function(value) {
-		return (typeof value === 'function') ? value.toString() : value; //mapReduce has function args
-	});
-	var hasher = crypto.createHash('md5');
-	hasher.update(JSON.stringify(argsToHash));
-	return hasher.digest('base64');
+function getCacheContext(origCollection, query, params) {
+	var db = origCollection.db;
+	var cacheCollectionName = params.cacheOptions.cacheCollectionName || 'queryCache';
+	var queryHash = cacheKey.build([
+		params.cacheOptions.cacheKeyVersion || null,
+		db.databaseName,
+		origCollection.collectionName,
+		query.type,
+		query.keyArgs || params.queryArgsArray
+	]);
+	registerCacheCollection(db, cacheCollectionName);
+	return {
+		db: db,
+		origCollection: origCollection,
+		options: params.cacheOptions,
+		collectionName: cacheCollectionName,
+		collection: db.collection(cacheCollectionName),
+		queryType: query.type,
+		queryHash: queryHash,
+		key: getConnectionKey(db) + '.' + cacheCollectionName + ':' + queryHash
+	};
 }
 
-function saveResultToCache(cacheCollection, queryHash, resultToCache, callback) {
-	cacheCollection.update( //upsert, to ensure we don't add duplicates (e.g., with options.forceUpdateCache)
-		{
-			queryHash: queryHash
-		},
+/**
+ * A cached entry is usable if it exists, and (when a maxAge is given) it was cached recently enough.
+ * Entries that predate the cachedAt field are considered stale whenever a maxAge is given.
+ */
+function isFreshCacheEntry(cacheEntry, cacheOptions) {
+	if (_.isEmpty(cacheEntry))
+	{
+		return false;
+	}
+	if (!cacheOptions.maxAge)
+	{
+		return true;
+	}
+	return _.isDate(cacheEntry.cachedAt) && (Date.now() - cacheEntry.cachedAt.getTime()) <= cacheOptions.maxAge * 1000;
+}
+
+/**
+ * With the staleWhileRevalidate option, an entry that's past its maxAge can still be used while it's being refreshed,
+ * as long as it's no more than staleWhileRevalidate seconds past it (if that's a number)
+ */
+function isServableStaleCacheEntry(cacheEntry, cacheOptions) {
+	if (_.isEmpty(cacheEntry) || !cacheOptions.staleWhileRevalidate)
+	{
+		return false;
+	}
+	if (!_.isNumber(cacheOptions.staleWhileRevalidate))
+	{
+		return true;
+	}
+	var maxStaleAge = (cacheOptions.maxAge || 0) + cacheOptions.staleWhileRevalidate;
+	return _.isDate(cacheEntry.cachedAt) && (Date.now() - cacheEntry.cachedAt.getTime()) <= maxStaleAge * 1000;
+}
+
+/**
+ * Makes sure the cache collection has a TTL index on 'expiresAt', if the cacheOptions ask for one.
+ */
+function ensureExpiryIndex(cache) {
+	if (!cache.options.ensureExpiryIndex)
+	{
+		return Promise.resolve();
+	}
+	return ensureCacheIndex(cache, { expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+/**
+ * Indexes are only ensured once per cache collection, per process; a failed attempt will be retried next time.
+ */
+function ensureCacheIndex(cache, fieldOrSpec, options) {
+	var key = getConnectionKey(cache.db) + '.' + cache.collectionName + ':' + JSON.stringify(fieldOrSpec);
+	if (!cacheIndexPromises[key] || cacheIndexPromises[key].isRejected())
+	{
+		cacheIndexPromises[key] = cache.collection.ensureIndexAsync(fieldOrSpec, options);
+	}
+	return cacheIndexPromises[key];
+}
+
+function usesMemoryCache(cache) {
+	return memoryCache && cache.options.memoryCache !== false;
+}
+
+function getMemoryCacheEntry(cache) {
+	if (!usesMemoryCache(cache) || cache.options.forceUpdateCache)
+	{
+		return null;
+	}
+	var memoryEntry = memoryCache.get(cache.key);
+	return isFreshCacheEntry(memoryEntry, cache.options) ? memoryEntry : null;
+}
+
+function setMemoryCacheEntry(cache, cacheEntry) {
+	if (usesMemoryCache(cache))
+	{
+		memoryCache.set(cache.key, {
+			connectionKey: getConnectionKey(cache.db),
+			cacheCollectionName: cache.collectionName,
+			sourceCollection: cacheEntry.sourceCollection,
+			cachedAt: cacheEntry.cachedAt,
+			tags: cacheEntry.tags,
+			outputCollection: cacheEntry.outputCollection,
+			outputDb: cacheEntry.outputDb,
+			cachedResult: cacheEntry.cachedResult
+		});
+	}
+}
+
+/**
+ * A key for the db's connection that's unique within this process, for the state that's kept for each: two clusters can both have
+ * an 'app' db, and mustn't share their in-flight queries, memory cache entries or known cache collections. A view of a db
+ * (see exports.withCollectionDefaults) has the same key as the db.
+ */
+function getConnectionKey(db) {
+	if (!db._porqpineConnectionKey)
+	{
+		db._porqpineConnectionKey = db.databaseName + '#' + (++connectionCount);
+	}
+	return db._porqpineConnectionKey;
+}
+
+function registerCacheCollection(db, cacheCollectionName) {
+	var connectionKey = getConnectionKey(db);
+	knownCacheCollections[connectionKey] = knownCacheCollections[connectionKey] || {};
+	knownCacheCollections[connectionKey][cacheCollectionName] = true;
+}
+
+function getCacheCollectionNames(db, opt_cacheCollectionName) {
+	return opt_cacheCollectionName ?
+		[ opt_cacheCollectionName ] :
+		_.union([ 'queryCache' ], _.keys(knownCacheCollections[getConnectionKey(db)]));
+}
+
+/**
+ * Converts cache criteria (see exports.listCacheEntries) into a selector for cache documents. Chunks share
+ * the fields their entry is selected by, so the same selector removes an entry's chunks along with it.
+ */
+function toCacheSelector(criteria) {
+	var selector = {};
+	if (criteria.collection)
+	{
+		selector.sourceCollection = criteria.collection;
+	}
+	if (criteria.tags)
+	{
+		selector.tags = { $in: _.flatten([ criteria.tags ]) };
+	}
+	if (_.isNumber(criteria.olderThan))
+	{
+		selector.cachedAt = { $lt: new Date(Date.now() - criteria.olderThan * 1000) };
+	}
+	return selector;
+}
+
+/**
+ * Removes the cache documents matching the given criteria, then drops the output collections that belonged to them
+ * (see the uniqueOutputCollection option of cachedMapReduce).
+ */
+function removeCacheEntries(db, cacheCollectionNames, criteria) {
+	var selector = toCacheSelector(criteria);
+	var outputSelector = _.extend({ outputCollection: { $exists: true } }, selector);
+	return Promise.all(_.map(cacheCollectionNames, function(cacheCollectionName) {
+		var cacheCollection = db.collection(cacheCollectionName);
+		return cacheCollection.find(outputSelector, { outputCollection: 1, outputDb: 1 }).toArrayAsync()
+			.then(function(outputs) {
+				//call the unwrapped remove, since removing cache entries shouldn't trigger any invalidation of its own
+				return Promise.promisify(cacheCollection._remove, cacheCollection)(selector)
+					.then(function() {
+						return Promise.all(_.map(outputs, function(output) {
+							return dropOutputCollection(db, output);
+						}));
+					});
+			});
+	}))
+	.finally(function() {
+		//evict from memory afterward, so a concurrent lookup can't re-populate it from a not-yet-removed entry
+		if (memoryCache)
 		{
-			queryHash: queryHash,
-			cachedAt: new Date(),
-			cachedResult: resultToCache
-		},
+			memoryCache.delWhere(function(memoryEntry) {
+				return memoryEntry.connectionKey === getConnectionKey(db) &&
+					_.contains(cacheCollectionNames, memoryEntry.cacheCollectionName) &&
+					(!selector.sourceCollection || memoryEntry.sourceCollection === selector.sourceCollection) &&
+					(!selector.tags || _.intersection(memoryEntry.tags, selector.tags.$in).length > 0) &&
+					(!selector.cachedAt || memoryEntry.cachedAt < selector.cachedAt.$lt);
+			});
+		}
+	});
+}
+
+/**
+ * Drops a cached mapReduce's output collection, and evicts any entry in the memory cache whose result it was.
+ * Failures are ignored, since it may well have been dropped already.
+ */
+function dropOutputCollection(db, output) {
+	var outputDb = (output.outputDb && output.outputDb !== db.databaseName) ? db.db(output.outputDb) : db;
+	return Promise.promisify(outputDb.dropCollection, outputDb)(output.outputCollection)
+		.catch(_.noop)
+		.finally(function() {
+			if (memoryCache)
+			{
+				memoryCache.delWhere(function(memoryEntry) {
+					return memoryEntry.connectionKey === getConnectionKey(db) &&
+						memoryEntry.outputCollection === output.outputCollection &&
+						(memoryEntry.outputDb || db.databaseName) === (output.outputDb || db.databaseName);
+				});
+			}
+		});
+}
+
+function newCacheStats() {
+	return { hits: 0, memoryHits: 0, staleHits: 0, misses: 0, refreshes: 0, byCollection: {} };
+}
+
+function recordCacheStat(cache, stat) {
+	var namespace = cache.db.databaseName + '.' + cache.origCollection.collectionName;
+	cacheStats.byCollection[namespace] = cacheStats.byCollection[namespace] || _.omit(newCacheStats(), 'byCollection');
+	cacheStats.byCollection[namespace][stat]++;
+	cacheStats[stat]++;
+}
+
+/**
+ * Upserts the query's cached entry. If the result is an array too big to fit in a single document, it's split
+ * into chunk documents, which are saved (under a new chunk set) before the entry that points to them,
+ * so that readers never see a partially-saved result. Any chunks of the entry being replaced are removed afterward,
+ * as is its output collection, if it had one of its own (given by opt_output, as { outputCollection, outputDb }).
+ */
+function saveResultToCache(cache, resultToCache, opt_output) {
+	var cachedAt = new Date();
+	var sourceCollectionName = cache.origCollection.collectionName;
+	var cacheEntry = {
+		queryHash: cache.queryHash,
+		queryType: cache.queryType,
+		cachedAt: cachedAt,
+		sourceCollection: sourceCollectionName,
+		tags: _.union([ sourceCollectionName ], cache.options.tags || []),
+		cachedResult: resultToCache
+	};
+	if (cache.options.maxAge && cache.options.staleWhileRevalidate !== true) //it has to stick around for as long as it might be used while stale
+	{
+		var staleAge = _.isNumber(cache.options.staleWhileRevalidate) ? cache.options.staleWhileRevalidate : 0;
+		cacheEntry.expiresAt = new Date(cachedAt.getTime() + (cache.options.maxAge + staleAge) * 1000);
+	}
+	if (opt_output)
+	{
+		_.extend(cacheEntry, opt_output);
+	}
+	var chunkSize = cache.options.chunkSize || MAX_CACHE_ENTRY_SIZE;
+	var chunks = null;
+	cacheEntry.resultSize = BSON.calculateObjectSize({ cachedResult: resultToCache });
+	if (_.isArray(resultToCache) && cacheEntry.resultSize > chunkSize)
+	{
+		chunks = splitIntoChunks(resultToCache, chunkSize);
+		cacheEntry = _.omit(cacheEntry, 'cachedResult');
+		cacheEntry.chunks = { set: crypto.randomBytes(8).toString('hex'), count: chunks.length };
+	}
+
+	return ensureCacheIndex(cache, { tags: 1 }) //which writes invalidate entries by
+		.then(function() {
+			return saveChunks(cache, cacheEntry, chunks);
+		})
+		.then(function() {
+			return Promise.promisify(cache.collection.update, cache.collection)( //upsert, to ensure we don't add duplicates (e.g., with options.forceUpdateCache)
+				{
+					queryHash: cache.queryHash
+				},
+				cacheEntry,
+				{
+					upsert: true
+				}
+			);
+		})
+		.then(function() {
+			if (chunks || cache.hasChunks)
+			{
+				var currentChunkSet = chunks ? cacheEntry.chunks.set : null;
+				return cache.collection.removeAsync({ chunkOf: cache.queryHash, chunkSet: { $ne: currentChunkSet } });
+			}
+		})
+		.then(function() {
+			if (cache.replacedOutput && !_.isEqual(cache.replacedOutput, _.pick(cacheEntry, 'outputCollection', 'outputDb')))
+			{
+				return dropOutputCollection(cache.db, cache.replacedOutput);
+			}
+		})
+		.then(function() {
+			if (!chunks) //a chunked result is too big to be worth keeping in memory
+			{
+				setMemoryCacheEntry(cache, cacheEntry);
+			}
+		});
+}
+
+function saveChunks(cache, cacheEntry, chunks) {
+	if (!chunks)
+	{
+		return Promise.resolve();
+	}
+	return ensureCacheIndex(cache, { chunkSet: 1, chunkIndex: 1 }, { sparse: true })
+		.then(function() {
+			return Promise.each(chunks, function(chunk, index) {
+				var chunkDoc = _.pick(cacheEntry, 'cachedAt', 'expiresAt', 'sourceCollection', 'tags'); //so chunks expire and get purged along with their entry
+				chunkDoc.chunkOf = cacheEntry.queryHash;
+				chunkDoc.chunkSet = cacheEntry.chunks.set;
+				chunkDoc.chunkIndex = index;
+				chunkDoc.cachedResult = chunk;
+				return cache.collection.insertAsync(chunkDoc);
+			});
+		});
+}
+
+function splitIntoChunks(docs, chunkSize) {
+	var chunks = [];
+	var chunk = [];
+	var currentSize = 0;
+	_.each(docs, function(doc) {
+		var docSize = BSON.calculateObjectSize({ doc: doc });
+		if (chunk.length && currentSize + docSize > chunkSize)
 		{
-			upsert: true
-		},
-		callback
-	);
+			chunks.push(chunk);
+			chunk = [];
+			currentSize = 0;
+		}
+		chunk.push(doc);
+		currentSize += docSize;
+	});
+	if (chunk.length)
+	{
+		chunks.push(chunk);
+	}
+	return chunks;
 }
@@ -0,0 +1,130 @@
+'use strict';
+
+var _ = require('lodash');
+
+// the config keys that map straight onto URI options, in the order they're written
+var URI_OPTION_KEYS = [ 'replicaSet', 'authSource', 'authMechanism', 'ssl', 'readPreference', 'w' ];
+
+/**
+ * Builds a mongodb:// connection string out of a dbConfig object. Credentials and option values are URI-encoded.
+ *
+ * @param   {Object}   conf   the dbConfig (see exports.parse for its keys)
+ * @returns {string}   the connection string
+ */
+exports.build = function(conf) {
+	conf = conf || {};
+	var string = 'mongodb://';
+	if (conf.user && conf.user.length)
+	{
+		string += encodeURIComponent(conf.user);
+		if (conf.pass && conf.pass.length)
+		{
+			string += ':' + encodeURIComponent(conf.pass);
+		}
+		string += '@';
+	}
+
+	if (conf.hosts && conf.hosts.length)
+	{
+		string += _.map(conf.hosts, function(host) {
+			return host.port ? host.host + ':' + host.port : host.host;
+		}).join(',');
+		string += '/';
+	}
+
+	string += conf.dbName;
+
+	var options = {};
+	_.each(URI_OPTION_KEYS, function(key) {
+		if (conf[key] != null)
+		{
+			options[key] = conf[key];
+		}
+	});
+	_.extend(options, conf.uriOptions);
+	if (!_.isEmpty(options))
+	{
+		string += '?' + _.map(options, function(value, key) {
+			return encodeURIComponent(key) + '=' + encodeURIComponent(value);
+		}).join('&');
+	}
+
+	return string;
+};
+
+/**
+ * Parses a mongodb:// connection string into a dbConfig object, with the following keys (each only if present):
+ *   - user, pass: {string} the (decoded) credentials
+ *   - hosts: {Array} of { host, port } objects
+ *   - dbName: {string} the database in the URI's path
+ *   - replicaSet, authSource, authMechanism, readPreference: {string}
+ *   - ssl: {boolean}
+ *   - w: {number|string}
+ *   - uriOptions: {Object} any other URI options, as strings
+ *
+ * @param   {string}   uri   the connection string
+ * @returns {Object}   the dbConfig
+ */
+exports.parse = function(uri) {
+	var match = /^mongodb:\/\/([^\/?]*)(?:\/([^?]*))?(?:\?(.*))?$/.exec(uri);
+	if (!match)
+	{
+		throw new Error('Invalid mongodb connection string: ' + uri);
+	}
+	var conf = {};
+	var authority = match[1];
+	var atIndex = authority.lastIndexOf('@');
+	if (atIndex !== -1)
+	{
+		var credentials = authority.slice(0, atIndex);
+		var colonIndex = credentials.indexOf(':');
+		conf.user = decodeURIComponent(colonIndex === -1 ? credentials : credentials.slice(0, colonIndex));
+		if (colonIndex !== -1)
+		{
+			conf.pass = decodeURIComponent(credentials.slice(colonIndex + 1));
+		}
+		authority = authority.slice(atIndex + 1);
+	}
+	if (authority)
+	{
+		conf.hosts = _.map(authority.split(','), function(hostAndPort) {
+			var parts = hostAndPort.split(':');
+			return parts[1] ? { host: parts[0], port: parseInt(parts[1], 10) } : { host: parts[0] };
+		});
+	}
+	if (match[2])
+	{
+		conf.dbName = decodeURIComponent(match[2]);
+	}
+
+	_.each(match[3] ? match[3].split('&') : [], function(pair) {
+		var equalsIndex = pair.indexOf('=');
+		var key = decodeURIComponent(equalsIndex === -1 ? pair : pair.slice(0, equalsIndex));
+		var value = equalsIndex === -1 ? '' : decodeURIComponent(pair.slice(equalsIndex + 1));
+		if (key === 'ssl')
+		{
+			conf.ssl = (value === 'true');
+		}
+		else if (key === 'w')
+		{
+			conf.w = /^\d+$/.test(value) ? parseInt(value, 10) : value;
+		}
+		else if (_.contains(URI_OPTION_KEYS, key))
+		{
+			conf[key] = value;
+		}
+		else if (key)
+		{
+			conf.uriOptions = conf.uriOptions || {};
+			conf.uriOptions[key] = value;
+		}
+	});
+	return conf;
+};
+
+/**
+ * Returns true if the given value is a mongodb:// connection string (as opposed to, say, a dbName)
+ */
+exports.isConnectionString = function(value) {
+	return _.isString(value) && value.indexOf('mongodb://') === 0;
+};
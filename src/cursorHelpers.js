@@ -0,0 +1,203 @@
+'use strict';
+
+var Promise = require('bluebird');
+var Readable = require('stream').Readable;
+var _ = require('lodash');
+
+var DEFAULT_STREAM_HIGH_WATER_MARK = 16;
+
+/**
+ * Adds the iteration helpers to a cursor (or a cursor prototype): eachAsync, eachBatchAsync, mapAsync and toStream.
+ * They read the cursor one document at a time, so it's never held in memory all at once. Any cursor with
+ * a nextObject(callback) or next(callback) function can have them, including aggregation cursors and CachedCursors.
+ *
+ * @param   {Object}   cursor   the cursor
+ * @returns {Object}   the cursor
+ */
+exports.addTo = function(cursor) {
+	cursor.eachAsync = eachAsync;
+	cursor.eachBatchAsync = eachBatchAsync;
+	cursor.mapAsync = mapAsync;
+	cursor.toStream = toStream;
+	return cursor;
+};
+
+// they already return promises, so bluebird's promisifyAll can leave them (and the cursors they're on) as they are
+eachAsync.__isPromisified__ = true;
+eachBatchAsync.__isPromisified__ = true;
+mapAsync.__isPromisified__ = true;
+
+/**
+ * Calls the given function with each document, waiting on the promise it returns (if any) before
+ * reading more documents than the concurrency allows. If it throws or rejects, the cursor is closed and no more documents are read.
+ *
+ * @param   {Function}  fn            called with each document
+ * @param   {Object}    opt_options   (optional) An object containing the following key:
+ *                                      - concurrency: {number} how many calls of fn can be waited on at once. defaults to 1
+ * @returns {Promise}   resolved with the number of documents, once fn is done with each
+ */
+function eachAsync(fn, opt_options) {
+	var read = serialReader(this);
+	var count = 0;
+	var worker = function() {
+		return read()
+			.then(function(doc) {
+				if (doc === null)
+				{
+					return;
+				}
+				count++;
+				return Promise.try(fn, doc).then(worker);
+			});
+	};
+	return runWorkers(read, worker, opt_options)
+		.then(function() {
+			return count;
+		});
+}
+
+/**
+ * Calls the given function with arrays of (up to) size documents at a time, waiting on the promise it returns (if any) before
+ * reading the next batch. If it throws or rejects, the cursor is closed and no more documents are read.
+ *
+ * @param   {number}    size   the number of documents in each batch (but the last)
+ * @param   {Function}  fn     called with each batch
+ * @returns {Promise}   resolved with the number of documents, once fn is done with each batch
+ */
+function eachBatchAsync(size, fn) {
+	if (!(size >= 1))
+	{
+		return Promise.reject(new Error('The batch size must be at least 1'));
+	}
+	var read = serialReader(this);
+	var count = 0;
+	var readBatch = function(batch) {
+		return read()
+			.then(function(doc) {
+				if (doc !== null)
+				{
+					batch.push(doc);
+				}
+				return (doc === null || batch.length >= size) ? batch : readBatch(batch);
+			});
+	};
+	var worker = function() {
+		return readBatch([])
+			.then(function(batch) {
+				if (!batch.length)
+				{
+					return;
+				}
+				count += batch.length;
+				return Promise.try(fn, [ batch ]).then(batch.length < size ? _.noop : worker);
+			});
+	};
+	return runWorkers(read, worker, { concurrency: 1 })
+		.then(function() {
+			return count;
+		});
+}
+
+/**
+ * Like eachAsync, but resolved with the array of what fn returns (or resolves with) for each document, in the cursor's order
+ */
+function mapAsync(fn, opt_options) {
+	var read = serialReader(this);
+	var results = [];
+	var index = 0;
+	var worker = function() {
+		return read()
+			.then(function(doc) {
+				if (doc === null)
+				{
+					return;
+				}
+				var docIndex = index++; //reads resolve in the cursor's order
+				return Promise.try(fn, doc)
+					.then(function(result) {
+						results[docIndex] = result;
+						return worker();
+					});
+			});
+	};
+	return runWorkers(read, worker, opt_options)
+		.then(function() {
+			return results;
+		});
+}
+
+/**
+ * Makes a readable object stream of the cursor's documents. Documents are only read from the cursor as the stream's
+ * consumer keeps up (back-pressure), and the cursor is closed if the stream is destroyed before it ends.
+ *
+ * @param   {Object}   opt_options   (optional) An object containing the following key:
+ *                                     - highWaterMark: {number} how many documents the stream buffers ahead. defaults to 16
+ * @returns {Readable}
+ */
+function toStream(opt_options) {
+	var read = serialReader(this);
+	var stream = new Readable({
+		objectMode: true,
+		highWaterMark: (opt_options && opt_options.highWaterMark) || DEFAULT_STREAM_HIGH_WATER_MARK
+	});
+	stream._read = function() {
+		read()
+			.done(function(doc) {
+				stream.push(doc);
+			}, function(err) {
+				stream.emit('error', err);
+			});
+	};
+	stream._destroy = function(err, callback) {
+		read.stop();
+		callback(err);
+	};
+	return stream;
+}
+
+/**
+ * Runs (options.concurrency) copies of the worker until they're all done. The first to fail stops the rest from reading more,
+ * and closes the cursor.
+ */
+function runWorkers(read, worker, opt_options) {
+	var concurrency = Math.max(1, Math.floor((opt_options && opt_options.concurrency) || 1));
+	return Promise.all(_.times(concurrency, worker))
+		.catch(function(err) {
+			read.stop();
+			throw err;
+		});
+}
+
+/**
+ * Returns a function that reads the cursor's next document (or null, once there are no more), one read at a time,
+ * since the driver's cursors can't be read concurrently. Its stop() closes the cursor, after which it only reads null.
+ */
+function serialReader(cursor) {
+	var reading = Promise.resolve();
+	var done = false;
+	var read = function() {
+		reading = reading
+			.then(function() {
+				if (done)
+				{
+					return null;
+				}
+				return Promise.fromNode(function(callback) {
+					return _.isFunction(cursor.nextObject) ? cursor.nextObject(callback) : cursor.next(callback);
+				});
+			})
+			.then(function(doc) {
+				done = done || doc == null;
+				return (doc == null) ? null : doc;
+			});
+		return reading;
+	};
+	read.stop = function() {
+		if (!done && _.isFunction(cursor.close))
+		{
+			cursor.close(_.noop);
+		}
+		done = true;
+	};
+	return read;
+}
@@ -0,0 +1,244 @@
+'use strict';
+
+var _ = require('lodash');
+var querystring = require('querystring');
+var connectionString = require('./connectionString');
+
+var READ_PREFERENCES = [ 'primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest' ];
+var UNKNOWN_KEY = 'unknown key ';
+
+var RETRY_SCHEMA = {
+	maxAttempts: rule(isPositiveInteger, 'a positive integer'),
+	initialDelay: rule(isNonNegativeNumber, 'a non-negative number'),
+	maxDelay: rule(isNonNegativeNumber, 'a non-negative number'),
+	factor: rule(function(value) { return _.isNumber(value) && value >= 1; }, 'a number of at least 1'),
+	isRetryable: rule(_.isFunction, 'a function')
+};
+
+var WRITE_CONCERN_SCHEMA = {
+	w: rule(isWriteConcernW, 'a non-negative integer or a string'),
+	wtimeout: rule(isNonNegativeNumber, 'a non-negative number'),
+	j: rule(_.isBoolean, 'true or false'),
+	fsync: rule(_.isBoolean, 'true or false')
+};
+
+var CONFIG_SCHEMA = {
+	uri: rule(connectionString.isConnectionString, 'a mongodb:// connection string'),
+	hosts: validateHosts,
+	user: rule(isNonEmptyString, 'a non-empty string'),
+	pass: rule(_.isString, 'a string'),
+	dbName: rule(function(value) { return isNonEmptyString(value) && !/[\/\\. "$]/.test(value); }, 'a valid database name'),
+	replicaSet: rule(isNonEmptyString, 'a non-empty string'),
+	authSource: rule(isNonEmptyString, 'a non-empty string'),
+	authMechanism: rule(isNonEmptyString, 'a non-empty string'),
+	ssl: rule(_.isBoolean, 'true or false'),
+	readPreference: rule(_.partial(_.contains, READ_PREFERENCES), 'one of ' + READ_PREFERENCES.join(', ')),
+	w: rule(isWriteConcernW, 'a non-negative integer or a string'),
+	writeConcern: schemaRule(WRITE_CONCERN_SCHEMA),
+	readConcern: function(value, path) {
+		return [ path + ' is not supported by the 1.4 driver, which can\'t send a read concern to the server' ];
+	},
+	uriOptions: function(value, path) {
+		if (!_.isPlainObject(value))
+		{
+			return [ path + ' must be an object' ];
+		}
+		return _.compact(_.map(value, function(option, key) {
+			return _.isObject(option) ? path + '.' + key + ' must be a string, number or boolean' : null;
+		}));
+	},
+	connectTimeoutMS: rule(isNonNegativeNumber, 'a non-negative number'),
+	retry: schemaRule(RETRY_SCHEMA),
+	strict: rule(_.isBoolean, 'true or false'),
+	options: function(value, path) {
+		if (!_.isPlainObject(value))
+		{
+			return [ path + ' must be an object' ];
+		}
+		return _.compact(_.map([ 'db', 'server', 'replSet', 'mongos', 'socketOptions' ], function(key) {
+			return (value[key] != null && !_.isPlainObject(value[key])) ? path + '.' + key + ' must be an object' : null;
+		}));
+	}
+};
+
+// environment variables (after the prefix) and how to read them into config keys
+var ENV_VARS = {
+	URI: { key: 'uri' },
+	HOSTS: { key: 'hosts', parse: function(value) { return _.compact(_.invoke(value.split(','), 'trim')); } },
+	USER: { key: 'user' },
+	PASS: { key: 'pass' },
+	REPLICA_SET: { key: 'replicaSet' },
+	AUTH_SOURCE: { key: 'authSource' },
+	AUTH_MECHANISM: { key: 'authMechanism' },
+	SSL: { key: 'ssl', parse: function(value) { return /^(true|1|yes)$/i.test(value); } },
+	READ_PREFERENCE: { key: 'readPreference' },
+	W: { key: 'w', parse: function(value) { return /^\d+$/.test(value) ? parseInt(value, 10) : value; } },
+	URI_OPTIONS: { key: 'uriOptions', parse: function(value) { return _.extend({}, querystring.parse(value)); } },
+	CONNECT_TIMEOUT_MS: { key: 'connectTimeoutMS', parse: Number },
+	OPTIONS: { key: 'options', parse: parseJson },
+	RETRY_MAX_ATTEMPTS: { key: 'retry.maxAttempts', parse: Number },
+	RETRY_INITIAL_DELAY: { key: 'retry.initialDelay', parse: Number },
+	RETRY_MAX_DELAY: { key: 'retry.maxDelay', parse: Number }
+};
+
+/**
+ * Checks a dbConfig object (see the README for its keys) for problems, such as values of the wrong type, missing hosts, or misspelled keys.
+ * Unknown keys were always ignored before there was validation, so they're only problems when checking strictly
+ *
+ * @param   {Object}   config        the dbConfig to check
+ * @param   {Object}   opt_options   (optional) An object containing any of the following keys:
+ *                                     - strict: {boolean} if true, unknown keys are problems, too. defaults to the config's strict key
+ *                                     - partial: {boolean} if true, the config only overrides the keys of another (like a getDb target
+ *                                         that names a cluster does), so it needn't give the hosts
+ * @returns {Array}    a message for each problem found, or an empty array if there are none
+ */
+exports.validate = function(config, opt_options) {
+	if (!_.isPlainObject(config))
+	{
+		return [ 'the config must be an object' ];
+	}
+	var strict = (opt_options && opt_options.strict != null) ? opt_options.strict : config.strict === true;
+	var problems = schemaRule(CONFIG_SCHEMA)(config, '');
+	if (!(opt_options && opt_options.partial) && config.hosts == null && config.uri == null)
+	{
+		problems.unshift('hosts (or a uri) must be given');
+	}
+	return strict ? problems : _.reject(problems, function(problem) { return problem.indexOf(UNKNOWN_KEY) === 0; });
+};
+
+/**
+ * Builds a dbConfig object out of environment variables, each named with the given prefix followed by one of:
+ * URI, HOSTS (comma-separated host[:port] list), USER, PASS, REPLICA_SET, AUTH_SOURCE, AUTH_MECHANISM, SSL (true or false),
+ * READ_PREFERENCE, W, URI_OPTIONS (as in a connection string, e.g. wtimeoutMS=500&maxPoolSize=10), CONNECT_TIMEOUT_MS,
+ * OPTIONS (as JSON), RETRY_MAX_ATTEMPTS, RETRY_INITIAL_DELAY and RETRY_MAX_DELAY
+ *
+ * @param   {string}   opt_prefix   (optional) the prefix of the variable names. defaults to 'MONGO_'
+ * @param   {Object}   opt_env      (optional) the environment to read. defaults to process.env
+ * @returns {Object}   the dbConfig
+ */
+exports.fromEnv = function(opt_prefix, opt_env) {
+	var prefix = (opt_prefix == null) ? 'MONGO_' : opt_prefix;
+	var env = opt_env || process.env;
+	var config = {};
+	_.each(ENV_VARS, function(envVar, name) {
+		var value = env[prefix + name];
+		if (value == null || value === '')
+		{
+			return;
+		}
+		var path = envVar.key.split('.');
+		var parent = _.reduce(_.initial(path), function(obj, key) {
+			obj[key] = obj[key] || {};
+			return obj[key];
+		}, config);
+		parent[_.last(path)] = envVar.parse ? envVar.parse(value, prefix + name) : value;
+	});
+	if (_.isEmpty(config))
+	{
+		throw new Error('None of the ' + prefix + '* environment variables for the DB Config are set');
+	}
+	return config;
+};
+
+function parseJson(value, name) {
+	try
+	{
+		return JSON.parse(value);
+	}
+	catch (err)
+	{
+		throw new Error(name + ' must be valid JSON: ' + err.message);
+	}
+}
+
+function schemaRule(schema) {
+	return function(value, path) {
+		if (!_.isPlainObject(value))
+		{
+			return [ path + ' must be an object' ];
+		}
+		var prefix = path ? path + '.' : '';
+		return _.flatten(_.map(value, function(keyValue, key) {
+			if (!_.has(schema, key))
+			{
+				var suggestion = suggestKey(key, _.keys(schema));
+				return [ UNKNOWN_KEY + prefix + key + (suggestion ? ' (did you mean ' + prefix + suggestion + '?)' : '') ];
+			}
+			return (keyValue === undefined) ? [] : schema[key](keyValue, prefix + key);
+		}), true);
+	};
+}
+
+function rule(test, description) {
+	return function(value, path) {
+		return test(value) ? [] : [ path + ' must be ' + description ];
+	};
+}
+
+function validateHosts(hosts, path) {
+	if (!_.isArray(hosts))
+	{
+		return [ path + ' must be an array' ];
+	}
+	return _.flatten(_.map(hosts, function(host, index) {
+		var hostPath = path + '[' + index + ']';
+		if (_.isString(host))
+		{
+			return /^[^:,\/\s]+(:\d+)?$/.test(host) ? [] : [ hostPath + ' must look like \'host\' or \'host:port\'' ];
+		}
+		if (!_.isPlainObject(host))
+		{
+			return [ hostPath + ' must be an object like { host: \'somehost.com\', port: 1234 }' ];
+		}
+		var problems = _.map(_.without(_.keys(host), 'host', 'port'), function(key) {
+			return UNKNOWN_KEY + hostPath + '.' + key;
+		});
+		if (!isNonEmptyString(host.host))
+		{
+			problems.push(hostPath + (host.host == null ? ' is missing its host' : '.host must be a non-empty string'));
+		}
+		if (host.port != null && !isPositiveInteger(host.port))
+		{
+			problems.push(hostPath + '.port must be a positive integer');
+		}
+		return problems;
+	}), true);
+}
+
+/**
+ * Returns the known key that's most likely to have been meant by an unknown one, if any is close enough
+ */
+function suggestKey(key, knownKeys) {
+	var best = _.min(knownKeys, function(knownKey) {
+		return editDistance(key.toLowerCase(), knownKey.toLowerCase());
+	});
+	return editDistance(key.toLowerCase(), best.toLowerCase()) <= Math.max(1, Math.floor(best.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+	var previous = _.range(b.length + 1);
+	_.each(a, function(aChar, i) {
+		var current = [ i + 1 ];
+		_.each(b, function(bChar, j) {
+			current.push(Math.min(previous[j + 1] + 1, current[j] + 1, previous[j] + (aChar === bChar ? 0 : 1)));
+		});
+		previous = current;
+	});
+	return previous[b.length];
+}
+
+function isWriteConcernW(value) {
+	return isNonEmptyString(value) || (isNonNegativeNumber(value) && value % 1 === 0);
+}
+
+function isNonEmptyString(value) {
+	return _.isString(value) && value.length > 0;
+}
+
+function isNonNegativeNumber(value) {
+	return _.isNumber(value) && !_.isNaN(value) && value >= 0;
+}
+
+function isPositiveInteger(value) {
+	return _.isNumber(value) && value % 1 === 0 && value > 0;
+}
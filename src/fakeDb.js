@@ -0,0 +1,372 @@
+'use strict';
+
+var _ = require('lodash');
+var ObjectId = require('mongodb').ObjectID;
+var collectionWrapper = require('./collectionWrapper');
+var query = require('./fakeQuery');
+
+var FIND_OPTION_KEYS = [ 'skip', 'limit', 'sort', 'fields', 'hint', 'explain', 'snapshot', 'timeout', 'tailable', 'batchSize', 'readPreference' ];
+
+/**
+ * An in-memory stand-in for a Db, for unit tests. Its collections are kept for as long as it is
+ *
+ * @param   {string}   databaseName   the name of the database
+ */
+function FakeDb(databaseName) {
+	this.databaseName = databaseName;
+	this._collections = {};
+}
+
+FakeDb.prototype.collection = function(name, opt_options, opt_callback) {
+	var callback = _.find([ opt_options, opt_callback ], _.isFunction);
+	if (!this._collections[name])
+	{
+		this._collections[name] = new FakeCollection(this, name);
+	}
+	callback && respond(callback, null, this._collections[name]);
+	return this._collections[name];
+};
+
+FakeDb.prototype.collectionNames = function(callback) {
+	var that = this;
+	respond(callback, null, _.map(_.keys(this._collections), function(name) {
+		return { name: that.databaseName + '.' + name };
+	}));
+};
+
+FakeDb.prototype.dropCollection = function(name, callback) {
+	var existed = _.has(this._collections, name);
+	delete this._collections[name];
+	respond(callback, null, existed);
+};
+
+FakeDb.prototype.dropDatabase = function(callback) {
+	this._collections = {};
+	respond(callback, null, true);
+};
+
+FakeDb.prototype.close = function(opt_force, opt_callback) {
+	respond(_.find([ opt_force, opt_callback ], _.isFunction), null);
+};
+
+/**
+ * An in-memory stand-in for a Collection, with the callback-taking functions of the driver's. It's wrapped like the driver's
+ * (see collectionWrapper.wrap), so it has the same Async functions, cached queries and cache invalidation, too
+ */
+function FakeCollection(db, collectionName) {
+	this.db = db;
+	this.collectionName = collectionName;
+	this.namespace = db.databaseName + '.' + collectionName;
+	this._docs = [];
+}
+
+FakeCollection.prototype.insert = function(docs /*[, options], callback */) {
+	var callback = getCallback(arguments);
+	var toInsert = _.map(_.isArray(docs) ? docs : [ docs ], function(doc) {
+		if (doc._id === undefined)
+		{
+			doc._id = new ObjectId(); //like the driver, which adds the _id to the given document
+		}
+		return doc;
+	});
+	var duplicate = this._findDuplicate(toInsert);
+	if (duplicate)
+	{
+		return respond(callback, duplicate);
+	}
+	this._docs.push.apply(this._docs, _.map(toInsert, query.clone));
+	respond(callback, null, toInsert);
+};
+
+FakeCollection.prototype.update = function(selector, document /*[, options], callback */) {
+	var callback = getCallback(arguments);
+	var options = getOptions(arguments, 2);
+	var matching = _.filter(this._docs, function(doc) { return query.matches(doc, selector); });
+	if (!options.multi)
+	{
+		matching = matching.slice(0, 1);
+	}
+	if (!matching.length)
+	{
+		if (!options.upsert)
+		{
+			return respond(callback, null, 0, { n: 0, updatedExisting: false });
+		}
+		var upserted = query.applyUpdate(query.upsertBase(selector), document, true);
+		upserted._id = (upserted._id === undefined) ? new ObjectId() : upserted._id;
+		this._docs.push(upserted);
+		return respond(callback, null, 1, { n: 1, updatedExisting: false, upserted: upserted._id });
+	}
+	var that = this;
+	_.each(matching, function(doc) {
+		that._docs[_.indexOf(that._docs, doc)] = query.applyUpdate(doc, document);
+	});
+	respond(callback, null, matching.length, { n: matching.length, updatedExisting: true });
+};
+
+FakeCollection.prototype.save = function(doc /*[, options], callback */) {
+	var callback = getCallback(arguments);
+	if (doc._id === undefined)
+	{
+		return this.insert(doc, function(err, docs) {
+			respond(callback, err, docs && docs[0]);
+		});
+	}
+	this.update({ _id: doc._id }, doc, { upsert: true }, callback);
+};
+
+FakeCollection.prototype.remove = function(/* [selector][, options], callback */) {
+	var callback = getCallback(arguments);
+	var selector = _.isPlainObject(arguments[0]) ? arguments[0] : {};
+	var count = this._docs.length;
+	this._docs = _.reject(this._docs, function(doc) { return query.matches(doc, selector); });
+	respond(callback, null, count - this._docs.length);
+};
+
+FakeCollection.prototype.findAndModify = function(selector, sort, document /*[, options], callback */) {
+	var callback = getCallback(arguments);
+	var options = getOptions(arguments, 3);
+	var found = _.first(query.sort(_.filter(this._docs, function(doc) { return query.matches(doc, selector); }), sort || {}));
+	var result = found || null;
+	if (options.remove)
+	{
+		this._docs = _.without(this._docs, found);
+	}
+	else if (found)
+	{
+		var updated = query.applyUpdate(found, document);
+		this._docs[_.indexOf(this._docs, found)] = updated;
+		result = options['new'] ? updated : found;
+	}
+	else if (options.upsert)
+	{
+		var upserted = query.applyUpdate(query.upsertBase(selector), document, true);
+		upserted._id = (upserted._id === undefined) ? new ObjectId() : upserted._id;
+		this._docs.push(upserted);
+		result = options['new'] ? upserted : null;
+	}
+	result = result && query.project(query.clone(result), options.fields);
+	respond(callback, null, result, { value: result, ok: 1 });
+};
+
+FakeCollection.prototype.findAndRemove = function(selector, sort /*[, options], callback */) {
+	this.findAndModify(selector, sort, null, _.extend({}, getOptions(arguments, 2), { remove: true }), getCallback(arguments));
+};
+
+FakeCollection.prototype.find = function(/* [selector][, fields][, options][, callback] */) {
+	var args = _.reject(arguments, _.isFunction);
+	var callback = getCallback(arguments);
+	var options = {};
+	if (args.length === 2 && _.isPlainObject(args[1]) && _.some(_.keys(args[1]), _.partial(_.contains, FIND_OPTION_KEYS)))
+	{
+		options = args[1]; //like the driver, which tells options from fields by their keys
+	}
+	else if (args.length >= 2)
+	{
+		options = _.extend({}, args[2], { fields: args[1] });
+	}
+	var that = this;
+	var selector = args[0] || {};
+	var cursor = new FakeCursor(this, function() {
+		return _.filter(that._docs, function(doc) { return query.matches(doc, selector); });
+	}, options);
+	callback && respond(callback, null, cursor);
+	return cursor;
+};
+
+FakeCollection.prototype.findOne = function(/* [selector][, fields][, options], callback */) {
+	var callback = getCallback(arguments);
+	var args = _.reject(arguments, _.isFunction);
+	this.find.apply(this, args).limit(-1).nextObject(callback);
+};
+
+FakeCollection.prototype.count = function(/* [query][, options], callback */) {
+	var callback = getCallback(arguments);
+	var selector = _.isPlainObject(arguments[0]) ? arguments[0] : {};
+	var options = _.isPlainObject(arguments[1]) ? arguments[1] : {};
+	this.find(selector, _.pick(options, 'skip', 'limit')).count(true, callback);
+};
+
+FakeCollection.prototype.distinct = function(key /*[, query][, options], callback */) {
+	var callback = getCallback(arguments);
+	var selector = _.isPlainObject(arguments[1]) ? arguments[1] : {};
+	var values = _.flatten(_.map(_.filter(this._docs, function(doc) { return query.matches(doc, selector); }), function(doc) {
+		var value = query.getValue(doc, key);
+		return _.isArray(value) ? value : [ value ];
+	}), true);
+	respond(callback, null, query.uniqueValues(_.reject(values, _.isUndefined)));
+};
+
+FakeCollection.prototype.aggregate = function(/* pipeline[, options][, callback] */) {
+	var callback = getCallback(arguments);
+	var args = _.reject(arguments, _.isFunction);
+	var pipeline = _.isArray(args[0]) ? args[0] : _.filter(args, isStage);
+	var options = _.find(_.isArray(args[0]) ? args.slice(1) : args, function(arg) { return !isStage(arg); }) || {};
+	var results;
+	try
+	{
+		results = query.aggregate(_.map(this._docs, query.clone), pipeline);
+	}
+	catch (err)
+	{
+		return callback ? respond(callback, err) : null;
+	}
+	if (options.cursor)
+	{
+		var cursor = new FakeCursor(this, _.constant(results), {});
+		cursor.get = cursor.toArray; //the driver's aggregation cursors read with get and next
+		cursor.next = cursor.nextObject;
+		callback && respond(callback, null, cursor);
+		return cursor;
+	}
+	respond(callback, null, results);
+};
+
+FakeCollection.prototype.mapReduce = function(/* map, reduce[, options], callback */) {
+	respond(getCallback(arguments), new Error('The fake db doesn\'t support mapReduce'));
+};
+
+FakeCollection.prototype.ensureIndex = function(fieldOrSpec /*[, options], callback */) {
+	var spec = _.isString(fieldOrSpec) ? _.object([ fieldOrSpec ], [ 1 ]) : fieldOrSpec;
+	respond(getCallback(arguments), null, _.map(spec, function(direction, field) { return field + '_' + direction; }).join('_'));
+};
+
+FakeCollection.prototype.createIndex = FakeCollection.prototype.ensureIndex;
+
+FakeCollection.prototype.dropIndex = function(name, callback) {
+	respond(callback, null, { ok: 1 });
+};
+
+FakeCollection.prototype.drop = function(callback) {
+	this._docs = [];
+	respond(callback, null, true);
+};
+
+FakeCollection.prototype._findDuplicate = function(docs) {
+	var ids = _.pluck(this._docs, '_id');
+	var duplicate = _.find(docs, function(doc, index) {
+		return _.some(ids.concat(_.pluck(docs.slice(0, index), '_id')), _.partial(query.valuesEqual, doc._id));
+	});
+	if (!duplicate)
+	{
+		return null;
+	}
+	var err = new Error('E11000 duplicate key error index: ' + this.namespace + '.$_id_  dup key: { : ' + JSON.stringify(duplicate._id) + ' }');
+	err.code = 11000;
+	return err;
+};
+
+/**
+ * An in-memory stand-in for a Cursor, whose query runs once it's first read
+ *
+ * @param   {FakeCollection}   collection   the collection it's from
+ * @param   {Function}         getDocs      returns the matching documents
+ * @param   {Object}           options      any of sort, skip, limit and fields
+ */
+function FakeCursor(collection, getDocs, options) {
+	this.collection = collection;
+	this.db = collection.db;
+	this._getDocs = getDocs;
+	this._options = _.clone(options);
+	this._results = null;
+	this._position = 0;
+}
+
+FakeCursor.prototype.sort = function(keyOrList, opt_direction) {
+	this._options.sort = (opt_direction === undefined) ? keyOrList : [ [ keyOrList, opt_direction ] ];
+	return this;
+};
+
+FakeCursor.prototype.skip = function(count) {
+	this._options.skip = count;
+	return this;
+};
+
+FakeCursor.prototype.limit = function(count) {
+	this._options.limit = count;
+	return this;
+};
+
+FakeCursor.prototype.toArray = function(callback) {
+	var results = this._read();
+	var remaining = results.slice(this._position);
+	this._position = results.length;
+	respond(callback, null, remaining);
+};
+
+FakeCursor.prototype.nextObject = function(callback) {
+	var results = this._read();
+	respond(callback, null, (this._position < results.length) ? results[this._position++] : null);
+};
+
+FakeCursor.prototype.each = function(callback) {
+	var that = this;
+	this.nextObject(function(err, doc) {
+		callback(err, doc);
+		if (doc !== null && !err)
+		{
+			that.each(callback);
+		}
+	});
+};
+
+FakeCursor.prototype.count = function(/* [applySkipLimit], callback */) {
+	var callback = getCallback(arguments);
+	respond(callback, null, (arguments[0] === true) ? this._read().length : this._getDocs().length);
+};
+
+FakeCursor.prototype.rewind = function() {
+	this._results = null;
+	this._position = 0;
+	return this;
+};
+
+FakeCursor.prototype.close = function(opt_callback) {
+	this._position = this._read().length;
+	opt_callback && respond(opt_callback, null, this);
+};
+
+FakeCursor.prototype._read = function() {
+	if (!this._results)
+	{
+		var options = this._options;
+		var docs = options.sort ? query.sort(this._getDocs(), options.sort) : this._getDocs();
+		docs = docs.slice(options.skip || 0);
+		docs = options.limit ? docs.slice(0, Math.abs(options.limit)) : docs;
+		this._results = _.map(docs, function(doc) {
+			return query.project(query.clone(doc), options.fields);
+		});
+	}
+	return this._results;
+};
+
+collectionWrapper.wrap(FakeCollection);
+
+/**
+ * Calls back asynchronously, the way the driver does
+ */
+function respond(callback /*, err, results... */) {
+	var args = _.rest(arguments);
+	if (_.isFunction(callback))
+	{
+		setImmediate(function() {
+			callback.apply(null, args);
+		});
+	}
+}
+
+function getCallback(args) {
+	return _.isFunction(_.last(args)) ? _.last(args) : null;
+}
+
+function getOptions(args, position) {
+	return _.isPlainObject(args[position]) ? args[position] : {};
+}
+
+function isStage(arg) {
+	return _.isPlainObject(arg) && _.some(_.keys(arg), function(key) { return key.charAt(0) === '$'; });
+}
+
+exports.FakeDb = FakeDb;
+exports.FakeCollection = FakeCollection;
+exports.FakeCursor = FakeCursor;
@@ -0,0 +1,431 @@
+'use strict';
+
+var _ = require('lodash');
+
+var TYPE_ORDER = [ 'null', 'number', 'string', 'object', 'array', 'objectId', 'boolean', 'date', 'regexp' ];
+var ACCUMULATORS = {
+	$sum: function(values) { return _.reduce(values, function(sum, value) { return _.isNumber(value) ? sum + value : sum; }, 0); },
+	$avg: function(values) {
+		var numbers = _.filter(values, _.isNumber);
+		return numbers.length ? ACCUMULATORS.$sum(numbers) / numbers.length : null;
+	},
+	$min: function(values) { return _.reduce(_.reject(values, isMissing), function(min, value) { return compareValues(value, min) < 0 ? value : min; }); },
+	$max: function(values) { return _.reduce(_.reject(values, isMissing), function(max, value) { return compareValues(value, max) > 0 ? value : max; }); },
+	$first: _.first,
+	$last: _.last,
+	$push: function(values) { return _.reject(values, _.isUndefined); },
+	$addToSet: function(values) { return uniqueValues(_.reject(values, _.isUndefined)); }
+};
+var STAGES = {
+	$match: function(docs, selector) {
+		return _.filter(docs, function(doc) { return exports.matches(doc, selector); });
+	},
+	$project: function(docs, projection) {
+		return _.map(docs, function(doc) { return project(doc, projection); });
+	},
+	$group: function(docs, spec) {
+		var groups = [];
+		_.each(docs, function(doc) {
+			var id = evaluate(spec._id === undefined ? null : spec._id, doc);
+			var group = _.find(groups, function(g) { return valuesEqual(g.id, id); });
+			if (!group)
+			{
+				group = { id: id, docs: [] };
+				groups.push(group);
+			}
+			group.docs.push(doc);
+		});
+		return _.map(groups, function(group) {
+			var result = { _id: group.id };
+			_.each(_.omit(spec, '_id'), function(accumulator, field) {
+				var operator = _.keys(accumulator)[0];
+				if (!ACCUMULATORS[operator])
+				{
+					throw new Error('The fake db doesn\'t support the ' + operator + ' accumulator');
+				}
+				result[field] = ACCUMULATORS[operator](_.map(group.docs, _.partial(evaluate, accumulator[operator])));
+			});
+			return result;
+		});
+	},
+	$sort: function(docs, sort) {
+		return exports.sort(docs, sort);
+	},
+	$skip: function(docs, count) {
+		return docs.slice(count);
+	},
+	$limit: function(docs, count) {
+		return docs.slice(0, count);
+	},
+	$unwind: function(docs, path) {
+		var field = (_.isPlainObject(path) ? path.path : path).slice(1);
+		return _.flatten(_.map(docs, function(doc) {
+			var values = getValue(doc, field);
+			return _.map(_.isArray(values) ? values : [], function(value) {
+				var unwound = _.clone(doc);
+				setValue(unwound, field, value);
+				return unwound;
+			});
+		}), true);
+	},
+	$count: function(docs, field) {
+		return docs.length ? [ _.object([ field ], [ docs.length ]) ] : [];
+	}
+};
+
+/**
+ * Finds out whether a document matches a query selector. The common query operators are supported: $eq, $ne, $gt, $gte, $lt, $lte,
+ * $in, $nin, $exists, $regex, $all, $size, $elemMatch, $not, $and, $or and $nor
+ */
+exports.matches = function(doc, selector) {
+	return _.every(selector, function(condition, key) {
+		switch (key)
+		{
+			case '$and':
+				return _.every(condition, _.partial(exports.matches, doc));
+			case '$or':
+				return _.some(condition, _.partial(exports.matches, doc));
+			case '$nor':
+				return !_.some(condition, _.partial(exports.matches, doc));
+		}
+		return matchesCondition(getValue(doc, key), condition);
+	});
+};
+
+/**
+ * Applies an update (with the common update operators, or a replacement document) to a document
+ *
+ * @param   {Object}    doc          the document, which is left as it is
+ * @param   {Object}    update       the update
+ * @param   {boolean}   opt_insert   (optional) if true, the document is being upserted, so $setOnInsert applies too
+ * @returns {Object}    the updated copy of the document
+ */
+exports.applyUpdate = function(doc, update, opt_insert) {
+	if (!_.some(_.keys(update), isOperator))
+	{
+		return _.extend(exports.clone(update), _.has(doc, '_id') ? { _id: doc._id } : {});
+	}
+	var updated = exports.clone(doc);
+	_.each(update, function(fields, operator) {
+		_.each(fields, function(value, path) {
+			var current = getValue(updated, path);
+			switch (operator)
+			{
+				case '$setOnInsert':
+					if (!opt_insert)
+					{
+						break;
+					}
+					//falls through
+				case '$set':
+					setValue(updated, path, exports.clone(value));
+					break;
+				case '$unset':
+					unsetValue(updated, path);
+					break;
+				case '$inc':
+					setValue(updated, path, (current || 0) + value);
+					break;
+				case '$mul':
+					setValue(updated, path, (current || 0) * value);
+					break;
+				case '$min':
+					if (isMissing(current) || compareValues(value, current) < 0)
+					{
+						setValue(updated, path, value);
+					}
+					break;
+				case '$max':
+					if (isMissing(current) || compareValues(value, current) > 0)
+					{
+						setValue(updated, path, value);
+					}
+					break;
+				case '$push':
+					setValue(updated, path, (current || []).concat(exports.clone(eachValues(value))));
+					break;
+				case '$addToSet':
+					setValue(updated, path, uniqueValues((current || []).concat(exports.clone(eachValues(value)))));
+					break;
+				case '$pull':
+					setValue(updated, path, _.reject(current || [], function(item) {
+						return _.isPlainObject(value) ? matchesCondition(item, value) : valuesEqual(item, value);
+					}));
+					break;
+				case '$pop':
+					setValue(updated, path, value < 0 ? _.rest(current || []) : _.initial(current || []));
+					break;
+				default:
+					throw new Error('The fake db doesn\'t support the ' + operator + ' update operator');
+			}
+		});
+	});
+	return updated;
+};
+
+/**
+ * Makes the document an upsert starts from: the fields that a selector matches by equality
+ */
+exports.upsertBase = function(selector) {
+	var doc = {};
+	_.each(selector, function(condition, key) {
+		if (!isOperator(key) && !(_.isPlainObject(condition) && _.some(_.keys(condition), isOperator)))
+		{
+			setValue(doc, key, exports.clone(condition));
+		}
+	});
+	return doc;
+};
+
+exports.sort = function(docs, sort) {
+	var keys = _.isArray(sort) ? sort : _.pairs(sort); //the driver also takes [ [ field, direction ], ... ]
+	return docs.slice().sort(function(a, b) {
+		for (var i = 0; i < keys.length; i++)
+		{
+			var field = _.isArray(keys[i]) ? keys[i][0] : keys[i];
+			var direction = (_.isArray(keys[i]) && /^(-1|desc|descending)$/.test(String(keys[i][1]))) ? -1 : 1;
+			var comparison = compareValues(getValue(a, field), getValue(b, field));
+			if (comparison)
+			{
+				return comparison * direction;
+			}
+		}
+		return 0;
+	});
+};
+
+exports.project = function(doc, fields) {
+	return _.isEmpty(fields) ? doc : project(doc, fields);
+};
+
+exports.aggregate = function(docs, pipeline) {
+	return _.reduce(pipeline, function(results, stage) {
+		var name = _.keys(stage)[0];
+		if (!STAGES[name])
+		{
+			throw new Error('The fake db doesn\'t support the ' + name + ' aggregation stage');
+		}
+		return STAGES[name](results, stage[name]);
+	}, docs);
+};
+
+exports.getValue = getValue;
+exports.valuesEqual = valuesEqual;
+exports.uniqueValues = uniqueValues;
+
+/**
+ * Deep-copies a document, keeping its ObjectIDs (and other BSON values) as they are
+ */
+exports.clone = function(value) {
+	return _.cloneDeep(value, function(v) {
+		return (v && v._bsontype) ? v : undefined;
+	});
+};
+
+function matchesCondition(value, condition) {
+	if (_.isRegExp(condition))
+	{
+		return _.some(candidates(value), function(v) { return _.isString(v) && condition.test(v); });
+	}
+	if (!_.isPlainObject(condition) || !_.some(_.keys(condition), isOperator))
+	{
+		return valuesEqual(value, condition) || (_.isArray(value) && _.some(value, _.partial(valuesEqual, condition)));
+	}
+	return _.every(condition, function(operand, operator) {
+		switch (operator)
+		{
+			case '$eq':
+				return matchesCondition(value, operand);
+			case '$ne':
+				return !matchesCondition(value, operand);
+			case '$gt':
+				return _.some(candidates(value), function(v) { return comparable(v, operand) && compareValues(v, operand) > 0; });
+			case '$gte':
+				return _.some(candidates(value), function(v) { return comparable(v, operand) && compareValues(v, operand) >= 0; });
+			case '$lt':
+				return _.some(candidates(value), function(v) { return comparable(v, operand) && compareValues(v, operand) < 0; });
+			case '$lte':
+				return _.some(candidates(value), function(v) { return comparable(v, operand) && compareValues(v, operand) <= 0; });
+			case '$in':
+				return _.some(operand, _.partial(matchesCondition, value));
+			case '$nin':
+				return !_.some(operand, _.partial(matchesCondition, value));
+			case '$exists':
+				return (value !== undefined) === !!operand;
+			case '$regex':
+				var regex = _.isRegExp(operand) ? operand : new RegExp(operand, condition.$options || '');
+				return matchesCondition(value, regex);
+			case '$options':
+				return true;
+			case '$all':
+				return _.isArray(value) && _.every(operand, function(item) { return _.some(value, _.partial(valuesEqual, item)); });
+			case '$size':
+				return _.isArray(value) && value.length === operand;
+			case '$elemMatch':
+				return _.isArray(value) && _.some(value, function(item) {
+					return _.isPlainObject(item) ? exports.matches(item, operand) : matchesCondition(item, operand);
+				});
+			case '$not':
+				return !matchesCondition(value, operand);
+			default:
+				throw new Error('The fake db doesn\'t support the ' + operator + ' query operator');
+		}
+	});
+}
+
+function project(doc, projection) {
+	var included = _.filter(_.keys(projection), function(key) { return key !== '_id' && projection[key] !== 0 && projection[key] !== false; });
+	var result;
+	if (!included.length)
+	{
+		result = exports.clone(doc);
+		_.each(projection, function(value, key) {
+			unsetValue(result, key);
+		});
+		return result;
+	}
+	result = (projection._id === 0 || projection._id === false) ? {} : _.pick(doc, '_id');
+	_.each(included, function(key) {
+		var value = (projection[key] === 1 || projection[key] === true) ? getValue(doc, key) : evaluate(projection[key], doc);
+		if (value !== undefined)
+		{
+			setValue(result, key, exports.clone(value));
+		}
+	});
+	return result;
+}
+
+/**
+ * Evaluates an aggregation expression: a '$field' reference, an object of expressions, or a literal
+ */
+function evaluate(expression, doc) {
+	if (_.isString(expression) && expression.charAt(0) === '$')
+	{
+		return getValue(doc, expression.slice(1));
+	}
+	if (_.isPlainObject(expression))
+	{
+		return _.mapValues(expression, function(subExpression) {
+			return evaluate(subExpression, doc);
+		});
+	}
+	return expression;
+}
+
+function getValue(doc, path) {
+	return _.reduce(path.split('.'), function(value, key) {
+		if (_.isArray(value) && !/^\d+$/.test(key))
+		{
+			var values = _.flatten(_.map(value, function(item) { return item == null ? undefined : item[key]; }), true);
+			return _.every(values, _.isUndefined) ? undefined : values;
+		}
+		return (value == null) ? undefined : value[key];
+	}, doc);
+}
+
+function setValue(doc, path, value) {
+	var keys = path.split('.');
+	var parent = _.reduce(_.initial(keys), function(obj, key) {
+		obj[key] = (obj[key] != null && typeof obj[key] === 'object') ? obj[key] : {};
+		return obj[key];
+	}, doc);
+	parent[_.last(keys)] = value;
+}
+
+function unsetValue(doc, path) {
+	var keys = path.split('.');
+	var parent = (keys.length === 1) ? doc : getValue(doc, _.initial(keys).join('.'));
+	if (parent && typeof parent === 'object')
+	{
+		delete parent[_.last(keys)];
+	}
+}
+
+function candidates(value) {
+	return _.isArray(value) ? value : [ value ];
+}
+
+function comparable(a, b) {
+	return typeName(a) === typeName(b);
+}
+
+function compareValues(a, b) {
+	var typeA = typeName(a);
+	var typeB = typeName(b);
+	if (typeA !== typeB)
+	{
+		return _.indexOf(TYPE_ORDER, typeA) - _.indexOf(TYPE_ORDER, typeB);
+	}
+	switch (typeA)
+	{
+		case 'null':
+			return 0;
+		case 'date':
+			return a.getTime() - b.getTime();
+		case 'objectId':
+			return compareValues(a.toHexString(), b.toHexString());
+		case 'boolean':
+			return (a === b) ? 0 : (a ? 1 : -1);
+		case 'number':
+		case 'string':
+			return (a < b) ? -1 : (a > b ? 1 : 0);
+		default:
+			return compareValues(JSON.stringify(a), JSON.stringify(b));
+	}
+}
+
+function valuesEqual(a, b) {
+	if (typeName(a) === 'objectId' && typeName(b) === 'objectId')
+	{
+		return a.toHexString() === b.toHexString();
+	}
+	if (isMissing(a) && isMissing(b))
+	{
+		return true;
+	}
+	return _.isEqual(a, b, function(x, y) {
+		return (x && y && x._bsontype && y._bsontype) ? valuesEqual(x, y) : undefined;
+	});
+}
+
+function typeName(value) {
+	if (isMissing(value))
+	{
+		return 'null';
+	}
+	if (value._bsontype === 'ObjectID')
+	{
+		return 'objectId';
+	}
+	if (_.isArray(value))
+	{
+		return 'array';
+	}
+	if (_.isDate(value))
+	{
+		return 'date';
+	}
+	if (_.isRegExp(value))
+	{
+		return 'regexp';
+	}
+	return typeof value;
+}
+
+function uniqueValues(values) {
+	return _.reduce(values, function(unique, value) {
+		return _.some(unique, _.partial(valuesEqual, value)) ? unique : unique.concat([ value ]);
+	}, []);
+}
+
+function eachValues(value) {
+	return (_.isPlainObject(value) && _.isArray(value.$each)) ? value.$each : [ value ];
+}
+
+function isMissing(value) {
+	return value === null || value === undefined;
+}
+
+function isOperator(key) {
+	return key.charAt(0) === '$';
+}
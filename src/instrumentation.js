@@ -0,0 +1,161 @@
+'use strict';
+
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var DEFAULT_SLOW_QUERY_THRESHOLD = 100;
+var hooks = [];
+
+/**
+ * Adds a hook that's called once each instrumented operation settles, with an object containing the following keys:
+ *   - db: {string} the name of the database
+ *   - collection: {string} the name of the collection
+ *   - method: {string} the function that was called, e.g. 'findOne', 'cursor.toArray' or 'cachedAggregate'
+ *   - args: {Array} the arguments it was called with (not counting the callback)
+ *   - durationMS: {number} how long (in milliseconds) it took to settle
+ *   - error: {Error} the error it failed with, if it did
+ *   - cache: {string} for the cached query functions, how the cache was used: 'hit', 'memoryHit', 'staleHit', 'miss' or 'refresh'
+ * An error thrown by a hook is logged, and doesn't affect the operation or the other hooks.
+ *
+ * @param   {Function}   hook   the hook
+ * @returns {Function}   removes the hook again
+ */
+exports.addHook = function(hook) {
+	if (!_.isFunction(hook))
+	{
+		throw new Error('An instrumentation hook must be a function');
+	}
+	hooks.push(hook);
+	return function() {
+		exports.removeHook(hook);
+	};
+};
+
+exports.removeHook = function(hook) {
+	hooks = _.without(hooks, hook);
+};
+
+exports.removeAllHooks = function() {
+	hooks = [];
+};
+
+/**
+ * Reports the given operation to the hooks once its promise settles. Nothing is measured if there aren't any hooks
+ *
+ * @param   {Promise}   promise   the promise for the operation (of any Promise implementation)
+ * @param   {Object}    event     the db, collection, method and args of the operation. see exports.addHook.
+ *                                  keys can still be added to it (like cache) until the promise settles
+ * @returns {Promise}   the given promise
+ */
+exports.measure = function(promise, event) {
+	if (!hooks.length)
+	{
+		return promise;
+	}
+	var startedAt = Date.now();
+	var report = function(opt_err) {
+		event.durationMS = Date.now() - startedAt;
+		if (opt_err)
+		{
+			event.error = opt_err;
+		}
+		callHooks(event);
+	};
+	Promise.resolve(promise).then(function() { report(); }, report);
+	return promise;
+};
+
+/**
+ * Wraps every promisified (*Async) method of the given object, so that the operations it starts are reported to the hooks
+ *
+ * @param   {Object}    obj        the promisified object (or prototype)
+ * @param   {Function}  describe   called with (the object the method is called on, the method name, the arguments), returning the
+ *                                   operation's db, collection, method and args, or null if it isn't to be reported
+ */
+exports.instrumentAsyncMethods = function(obj, describe) {
+	_.each(_.functions(obj), function(name) {
+		var promisified = obj[name];
+		if (!/Async$/.test(name) || promisified.__isInstrumented__)
+		{
+			return;
+		}
+		var instrumented = function() {
+			var result = promisified.apply(this, arguments);
+			var event = hooks.length ? describe(this, name.slice(0, -'Async'.length), _.toArray(arguments)) : null;
+			return event ? exports.measure(result, event) : result;
+		};
+		instrumented.__isPromisified__ = promisified.__isPromisified__;
+		instrumented.__isTracked__ = promisified.__isTracked__;
+		instrumented.__isInstrumented__ = true;
+		obj[name] = instrumented;
+	});
+	return obj;
+};
+
+/**
+ * Makes a hook that logs the operations that take longer than the threshold
+ *
+ * @param   {Object}   opt_options   (optional) An object containing any of the following keys:
+ *                                     - thresholdMS: {number} operations that take at least this long (in milliseconds) are logged.
+ *                                         defaults to 100
+ *                                     - redact: {boolean|Function} by default, every value in the logged arguments is replaced with '?',
+ *                                         so that only the shape of the query is logged. false logs the arguments as they are, and a
+ *                                         function is called with (args, event), returning the arguments to log
+ *                                     - log: {Function} called with (message, event) for each slow operation. defaults to console.warn
+ * @returns {Function} the hook, for exports.addHook
+ */
+exports.slowQueryLogger = function(opt_options) {
+	var options = _.defaults({}, opt_options, {
+		thresholdMS: DEFAULT_SLOW_QUERY_THRESHOLD,
+		redact: true,
+		log: function(message) {
+			console.warn(message);
+		}
+	});
+	return function(event) {
+		if (event.durationMS < options.thresholdMS)
+		{
+			return;
+		}
+		var args = event.args;
+		if (_.isFunction(options.redact))
+		{
+			args = options.redact(args, event);
+		}
+		else if (options.redact)
+		{
+			args = exports.redact(args);
+		}
+		var message = 'porqpine: slow ' + event.method + ' on ' + event.db + '.' + event.collection + ' took ' + event.durationMS + 'ms' +
+			(event.cache ? ' (cache ' + event.cache + ')' : '') + (event.error ? ' and failed' : '') + ': ' + JSON.stringify(args);
+		options.log(message, event);
+	};
+};
+
+/**
+ * Replaces every value in the given (query) arguments with '?', keeping only the keys, like field names and operators
+ */
+exports.redact = function(value) {
+	if (_.isArray(value))
+	{
+		return _.map(value, exports.redact);
+	}
+	if (_.isPlainObject(value))
+	{
+		return _.mapValues(value, exports.redact);
+	}
+	return '?';
+};
+
+function callHooks(event) {
+	_.each(hooks, function(hook) {
+		try
+		{
+			hook(event);
+		}
+		catch (err)
+		{
+			console.error('porqpine: instrumentation hook failed:', err);
+		}
+	});
+}
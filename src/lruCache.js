@@ -0,0 +1,123 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * A simple least-recently-used cache, bounded both by its number of entries and by their approximate total size.
+ * Sizes are estimated from the length of each value's JSON representation.
+ *
+ * @param   {Object}   options   (optional) An object containing any of the following keys:
+ *                                 - maxEntries: {number} the max number of entries to hold. defaults to 1000
+ *                                 - maxBytes: {number} the max approximate size (in bytes) of all the entries. defaults to 64MB
+ */
+function LruCache(options) {
+	options = options || {};
+	this.maxEntries = options.maxEntries || 1000;
+	this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+	this.clear();
+}
+
+LruCache.prototype.get = function(key) {
+	var node = this._nodes[key];
+	if (!node)
+	{
+		return undefined;
+	}
+	this._unlink(node);
+	this._pushFront(node);
+	return node.value;
+};
+
+LruCache.prototype.set = function(key, value) {
+	this.del(key);
+	var size = estimateSize(value);
+	if (size > this.maxBytes)
+	{
+		return false; //it would just evict everything else, and then itself
+	}
+	var node = { key: key, value: value, size: size };
+	this._nodes[key] = node;
+	this._pushFront(node);
+	this.length++;
+	this.bytes += size;
+	while (this.length > this.maxEntries || this.bytes > this.maxBytes)
+	{
+		this.del(this._tail.key);
+	}
+	return true;
+};
+
+LruCache.prototype.del = function(key) {
+	var node = this._nodes[key];
+	if (node)
+	{
+		this._unlink(node);
+		delete this._nodes[key];
+		this.length--;
+		this.bytes -= node.size;
+	}
+};
+
+/**
+ * Removes every entry for which the given function returns true
+ *
+ * @param   {Function}  predicate   called with (value, key) for each entry
+ */
+LruCache.prototype.delWhere = function(predicate) {
+	var that = this;
+	_.each(_.keys(this._nodes), function(key) {
+		if (predicate(that._nodes[key].value, key))
+		{
+			that.del(key);
+		}
+	});
+};
+
+LruCache.prototype.clear = function() {
+	this._nodes = Object.create(null);
+	this._head = null; //most recently used
+	this._tail = null; //least recently used
+	this.length = 0;
+	this.bytes = 0;
+};
+
+LruCache.prototype._pushFront = function(node) {
+	node.prev = null;
+	node.next = this._head;
+	if (this._head)
+	{
+		this._head.prev = node;
+	}
+	this._head = node;
+	if (!this._tail)
+	{
+		this._tail = node;
+	}
+};
+
+LruCache.prototype._unlink = function(node) {
+	if (node.prev)
+	{
+		node.prev.next = node.next;
+	}
+	else
+	{
+		this._head = node.next;
+	}
+	if (node.next)
+	{
+		node.next.prev = node.prev;
+	}
+	else
+	{
+		this._tail = node.prev;
+	}
+	node.prev = node.next = null;
+};
+
+function estimateSize(value) {
+	var json = JSON.stringify(value);
+	return json ? Buffer.byteLength(json) : 0;
+}
+
+module.exports = LruCache;
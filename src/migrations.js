@@ -0,0 +1,257 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+
+var MIGRATION_FILE_PATTERN = /^(\d+)[-_.].*\.js$/;
+var LOCK_ID = 'lock';
+var DEFAULTS = {
+	dir: 'migrations',
+	collection: 'migrations',
+	lockTimeout: 600, //seconds
+	dryRun: false,
+	log: _.noop
+};
+
+/**
+ * Finds the migrations in a directory: the .js files whose names start with their version number (e.g. 001-add-user-index.js),
+ * each exporting an up(db) function, and (optionally) a down(db) function, that return a promise or take a callback
+ *
+ * @param   {string}   dir   the directory, relative to the working directory
+ * @returns {Array}    the { version, name, up, down } of each migration, in version order
+ */
+exports.load = function(dir) {
+	var migrations = _.compact(_.map(fs.readdirSync(path.resolve(dir)).sort(), function(fileName) {
+		var match = MIGRATION_FILE_PATTERN.exec(fileName);
+		if (!match)
+		{
+			return null;
+		}
+		var migration = require(path.resolve(dir, fileName));
+		if (!_.isFunction(migration.up))
+		{
+			throw new Error('The migration ' + fileName + ' doesn\'t export an up function');
+		}
+		return { version: parseInt(match[1], 10), name: fileName, up: migration.up, down: migration.down };
+	}));
+	_.each(_.groupBy(migrations, 'version'), function(sameVersion, version) {
+		if (sameVersion.length > 1)
+		{
+			throw new Error('There are ' + sameVersion.length + ' migrations with version ' + version + ': ' + _.pluck(sameVersion, 'name').join(', '));
+		}
+	});
+	return _.sortBy(migrations, 'version');
+};
+
+/**
+ * Lists every migration, along with when it was applied. Applied migrations that can't be found anymore are listed, too
+ *
+ * @param   {Object}    db            the database
+ * @param   {Object}    opt_options   (optional) see exports.up
+ * @returns {Promise}   resolved with the { version, name, appliedAt } of each migration, in version order. appliedAt is null
+ *                        for pending migrations, and missing is true for those that can't be found
+ */
+exports.status = function(db, opt_options) {
+	var options = getOptions(opt_options);
+	return Promise.join(loadMigrations(options), getAppliedRecords(db, options), function(migrations, records) {
+		var recordsByVersion = _.indexBy(records, 'version');
+		var statuses = _.map(migrations, function(migration) {
+			var record = recordsByVersion[migration.version];
+			return { version: migration.version, name: migration.name, appliedAt: record ? record.appliedAt : null };
+		});
+		_.each(records, function(record) {
+			if (!_.find(migrations, { version: record.version }))
+			{
+				statuses.push({ version: record.version, name: record.name, appliedAt: record.appliedAt, missing: true });
+			}
+		});
+		return _.sortBy(statuses, 'version');
+	});
+};
+
+/**
+ * Applies the pending migrations, in version order, while holding the migrations lock. Which ones are pending is only
+ * read once the lock is held, so a run that had to wait for another doesn't apply them all over again
+ *
+ * @param   {Object}    db            the database
+ * @param   {Object}    opt_options   (optional) An object containing any of the following keys:
+ *                                      - dir: {string} the directory to load the migrations from. defaults to 'migrations'
+ *                                      - migrations: {Array} the { version, name, up, down } migrations to use instead of loading them
+ *                                      - collection: {string} the collection to record the applied versions (and the lock) in.
+ *                                          defaults to 'migrations'
+ *                                      - to: {number} the last version to apply (or, for down, the version to revert back to)
+ *                                      - dryRun: {boolean} if true, nothing is run, and the migrations that would be are resolved with
+ *                                      - lockTimeout: {number} the seconds after which a lock left behind by a crashed run expires.
+ *                                          it's renewed after each migration, so it only needs to outlast the longest one. defaults to 600
+ *                                      - log: {Function} called with a message about each migration that's run
+ * @returns {Promise}   resolved with the { version, name } of each migration that was applied
+ */
+exports.up = function(db, opt_options) {
+	var options = getOptions(opt_options);
+	return runMigrations(db, options, 'up', function(migrations, records) {
+		var appliedVersions = _.pluck(records, 'version');
+		return _.filter(migrations, function(migration) {
+			return !_.contains(appliedVersions, migration.version) && (options.to == null || migration.version <= options.to);
+		});
+	});
+};
+
+/**
+ * Reverts applied migrations, in reverse version order, while holding the migrations lock. Without a to option,
+ * only the last applied migration is reverted
+ *
+ * @param   {Object}    db            the database
+ * @param   {Object}    opt_options   (optional) see exports.up
+ * @returns {Promise}   resolved with the { version, name } of each migration that was reverted
+ */
+exports.down = function(db, opt_options) {
+	var options = getOptions(opt_options);
+	return runMigrations(db, options, 'down', function(migrations, records) {
+		var toRevert = (options.to == null) ? _.last(records, 1) : _.filter(records, function(record) {
+			return record.version > options.to;
+		});
+		return _.map(toRevert.reverse(), function(record) {
+			var migration = _.find(migrations, { version: record.version });
+			if (!migration)
+			{
+				throw new Error('The applied migration ' + record.name + ' can\'t be reverted, since it can\'t be found');
+			}
+			if (!_.isFunction(migration.down))
+			{
+				throw new Error('The migration ' + migration.name + ' can\'t be reverted, since it doesn\'t export a down function');
+			}
+			return migration;
+		});
+	});
+};
+
+/**
+ * Runs the migrations that choose picks, given every migration and the applied records. Unless it's a dry run, they're picked
+ * (and run) while holding the migrations lock, which is renewed after each one
+ */
+function runMigrations(db, options, direction, choose) {
+	var chooseMigrations = function() {
+		return Promise.join(loadMigrations(options), getAppliedRecords(db, options), choose);
+	};
+	var toSummaries = function(migrations) {
+		return _.map(migrations, function(migration) {
+			return _.pick(migration, 'version', 'name');
+		});
+	};
+	if (options.dryRun)
+	{
+		return chooseMigrations()
+			.then(function(migrations) {
+				_.each(migrations, function(migration) {
+					options.log('Would run ' + migration.name + ' ' + direction);
+				});
+				return toSummaries(migrations);
+			});
+	}
+	var collection = db.collection(options.collection);
+	return withLock(collection, options, function(renewLock) {
+		//so two runs can never both record a version, even if one has lost the lock
+		return collection.ensureIndexAsync({ version: 1 }, { unique: true, sparse: true })
+			.then(chooseMigrations)
+			.then(function(migrations) {
+				return Promise.each(migrations, function(migration) {
+					options.log('Running ' + migration.name + ' ' + direction);
+					return runStep(migration[direction], db)
+						.then(function() {
+							return (direction === 'up') ?
+								collection.insertAsync({ version: migration.version, name: migration.name, appliedAt: new Date() }) :
+								collection.removeAsync({ version: migration.version });
+						})
+						.catch(function(err) {
+							err.migration = migration.name;
+							throw err;
+						})
+						.then(renewLock);
+				})
+					.then(toSummaries);
+			});
+	});
+}
+
+/**
+ * Runs the given function while holding the lock document, which keeps two runs (e.g. by concurrent deploys) from
+ * migrating at once. A lock that's older than options.lockTimeout is taken to be left behind by a crashed run, and replaced.
+ * run is given a function that renews the lock for another options.lockTimeout, which is rejected if the lock was lost
+ */
+function withLock(collection, options, run) {
+	var now = new Date();
+	var lock = {
+		_id: LOCK_ID,
+		owner: os.hostname() + ':' + process.pid + ':' + now.getTime(),
+		lockedAt: now,
+		expiresAt: new Date(now.getTime() + options.lockTimeout * 1000)
+	};
+	var acquire = function() {
+		return collection.insertAsync(lock);
+	};
+	var renew = function() {
+		var expiresAt = new Date(Date.now() + options.lockTimeout * 1000);
+		return collection.updateAsync({ _id: LOCK_ID, owner: lock.owner }, { $set: { expiresAt: expiresAt } })
+			.spread(function(updated) {
+				if (!updated)
+				{
+					throw new Error('The migrations lock expired, and was taken over by another run. Is the lockTimeout too short?');
+				}
+			});
+	};
+	return acquire()
+		.catch(function(err) {
+			if (err.code !== 11000) //anything other than a duplicate key error means we don't know who holds the lock
+			{
+				throw err;
+			}
+			return collection.removeAsync({ _id: LOCK_ID, expiresAt: { $lt: now } })
+				.then(acquire)
+				.catch(function(retryErr) {
+					if (retryErr.code !== 11000)
+					{
+						throw retryErr;
+					}
+					return collection.findOneAsync({ _id: LOCK_ID })
+						.then(function(heldLock) {
+							throw new Error('The migrations are locked by another run' +
+								(heldLock ? ' (' + heldLock.owner + ', since ' + heldLock.lockedAt.toISOString() + ')' : ''));
+						});
+				});
+		})
+		.then(function() {
+			return Promise.try(_.partial(run, renew))
+				.finally(function() {
+					return collection.removeAsync({ _id: LOCK_ID, owner: lock.owner });
+				});
+		});
+}
+
+function runStep(step, db) {
+	if (step.length > 1)
+	{
+		return Promise.fromNode(function(callback) {
+			step(db, callback);
+		});
+	}
+	return Promise.try(function() {
+		return step(db);
+	});
+}
+
+function getAppliedRecords(db, options) {
+	return db.collection(options.collection).find({ version: { $exists: true } }).sort({ version: 1 }).toArrayAsync();
+}
+
+function loadMigrations(options) {
+	return Promise.try(function() {
+		return options.migrations ? _.sortBy(options.migrations, 'version') : exports.load(options.dir);
+	});
+}
+
+function getOptions(opt_options) {
+	return _.defaults({}, opt_options, DEFAULTS);
+}
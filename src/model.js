@@ -0,0 +1,490 @@
+'use strict';
+
+var Promise = require('bluebird');
+var util = require('util');
+var _ = require('lodash');
+
+var TYPE_CHECKS = {
+	any: function() { return true; },
+	string: _.isString,
+	number: function(value) { return _.isNumber(value) && !_.isNaN(value); },
+	boolean: _.isBoolean,
+	date: _.isDate,
+	objectId: function(value) { return !!value && value._bsontype === 'ObjectID'; },
+	object: _.isPlainObject,
+	array: _.isArray
+};
+var TYPE_DESCRIPTIONS = {
+	string: 'a string',
+	number: 'a number',
+	boolean: 'true or false',
+	date: 'a date',
+	objectId: 'an ObjectID',
+	object: 'an object',
+	array: 'an array'
+};
+var FIELD_KEYS = [ 'type', 'required', 'default', 'enum', 'schema', 'of' ];
+// how the fields of each update operator the model can validate are checked, given the field's spec (undefined if the schema
+// doesn't have it), the operator's value for it, its path, the operator and the model. updates with any other operator are rejected
+var UPDATE_CHECKS = {
+	$set: checkSetField,
+	$setOnInsert: checkSetField,
+	$min: checkSetField,
+	$max: checkSetField,
+	$unset: checkRemovedField,
+	$rename: checkRenamedField,
+	$inc: checkNumericField,
+	$mul: checkNumericField,
+	$push: checkAddedItems,
+	$addToSet: checkAddedItems,
+	$pull: _.constant([]),
+	$pullAll: _.constant([]),
+	$pop: _.constant([]),
+	$currentDate: checkCurrentDateField
+};
+// the operators that give a field a value when an upsert inserts a document
+var UPSERT_SETTING_OPERATORS = [ '$set', '$setOnInsert', '$min', '$max', '$inc', '$mul', '$push', '$addToSet', '$currentDate' ];
+
+/**
+ * The error that a model's writes are rejected with when a document (or update) doesn't match its schema
+ *
+ * @param   {string}   collectionName   the model's collection
+ * @param   {Array}    errors           a { path, message } object for each problem found
+ */
+function ValidationError(collectionName, errors) {
+	Error.call(this);
+	Error.captureStackTrace(this, ValidationError);
+	this.name = 'ValidationError';
+	this.collectionName = collectionName;
+	this.errors = errors;
+	this.message = 'Invalid document for ' + collectionName + ':\n  - ' + _.pluck(errors, 'message').join('\n  - ');
+}
+util.inherits(ValidationError, Error);
+
+/**
+ * A collection whose writes are validated against a schema first. The schema is an object with a field spec for each field,
+ * which is either the name of a type, or an object with the following keys:
+ *   - type: {string} one of any, string, number, boolean, date, objectId, object and array. defaults to any
+ *   - required: {boolean} if true, the field can't be missing (or null)
+ *   - default: {*} the value a missing field gets on insert and save. a function is called for it each time
+ *   - enum: {Array} the only values the field can have
+ *   - schema: {Object} for an object field, the schema of its fields
+ *   - of: {string|Object} for an array field, the field spec of its items
+ * An _id field is always allowed.
+ *
+ * @param   {Function}  getCollection    returns a promise for the collection
+ * @param   {string}    collectionName   the name of the collection
+ * @param   {Object}    schema           the schema
+ * @param   {Object}    opt_options      (optional) An object containing the following key:
+ *                                         - strict: {boolean} if true, fields that aren't in the schema aren't allowed
+ */
+function Model(getCollection, collectionName, schema, opt_options) {
+	var problems = checkSchema(schema, '');
+	if (problems.length)
+	{
+		throw new Error('Invalid schema was given for the ' + collectionName + ' model:\n  - ' + problems.join('\n  - '));
+	}
+	this.collectionName = collectionName;
+	this.schema = schema;
+	this.options = _.defaults({}, opt_options, { strict: false });
+	this._getCollection = getCollection;
+}
+
+Model.ValidationError = ValidationError;
+
+/**
+ * Resolves with the model's collection, for anything that the model doesn't do itself
+ */
+Model.prototype.collection = function() {
+	return Promise.resolve(this._getCollection());
+};
+
+/**
+ * Checks a whole document against the schema
+ *
+ * @returns {Array}  a { path, message } object for each problem found, or an empty array if there are none
+ */
+Model.prototype.validate = function(doc) {
+	if (!_.isPlainObject(doc))
+	{
+		return [ { path: '', message: 'the document must be an object' } ];
+	}
+	return validateFields(this.schema, doc, '', this.options.strict);
+};
+
+/**
+ * Checks an update against the schema (dotted paths included): the fields it $sets (or $setOnInsert, $min or $max) must match
+ * their field specs, it can't $unset or $rename away required fields, it can only $inc or $mul numbers, and it can only $push
+ * (or $addToSet) items that match the array's field spec. Updates with operators it can't check are rejected. An upsert has to
+ * give every required field, in its selector or its update. An update without any operators replaces the whole document, so it's checked like one.
+ *
+ * @param   {Object}   update        the update
+ * @param   {Object}   opt_options   (optional) An object containing any of the following keys:
+ *                                     - upsert: {boolean} if true, the update may insert a document
+ *                                     - selector: {Object} the update's selector, whose fields an upserted document gets, too
+ * @returns {Array}    a { path, message } object for each problem found, or an empty array if there are none
+ */
+Model.prototype.validateUpdate = function(update, opt_options) {
+	var that = this;
+	var options = opt_options || {};
+	if (!_.isPlainObject(update))
+	{
+		return [ { path: '', message: 'the update must be an object' } ];
+	}
+	if (!_.some(_.keys(update), isOperator))
+	{
+		return this.validate(update);
+	}
+	var errors = [];
+	_.each(update, function(fields, operator) {
+		if (!_.has(UPDATE_CHECKS, operator))
+		{
+			errors.push({ path: operator, message: isOperator(operator) ?
+				'the ' + operator + ' operator can\'t be checked against the schema' :
+				operator + ' can\'t be given alongside update operators' });
+			return;
+		}
+		_.each(fields, function(value, path) {
+			errors.push.apply(errors, UPDATE_CHECKS[operator](getFieldSpec(that.schema, path), value, path, operator, that));
+		});
+	});
+	if (options.upsert)
+	{
+		errors.push.apply(errors, checkUpsertedFields(this.schema, update, options.selector));
+	}
+	return errors;
+};
+
+/**
+ * Fills in the defaults of a document's missing fields (including those of its object fields)
+ *
+ * @returns {Object}  a copy of the document, with the defaults filled in
+ */
+Model.prototype.applyDefaults = function(doc) {
+	return applyDefaults(this.schema, doc);
+};
+
+/**
+ * Inserts a document (or an array of documents), once its defaults are filled in and it's found to match the schema
+ *
+ * @returns {Promise}  resolved with the inserted documents, or rejected with a ValidationError
+ */
+Model.prototype.insert = function(docOrDocs, opt_options) {
+	var that = this;
+	return Promise.try(function() {
+			var docs = _.map(_.isArray(docOrDocs) ? docOrDocs : [ docOrDocs ], that.applyDefaults, that);
+			that._check(_.flatten(_.map(docs, function(doc, index) {
+				return _.isArray(docOrDocs) ? prefixPaths(that.validate(doc), '[' + index + ']') : that.validate(doc);
+			}), true));
+			return that.collection()
+				.then(function(collection) {
+					return collection.insertAsync(_.isArray(docOrDocs) ? docs : docs[0], opt_options || {});
+				});
+		});
+};
+
+/**
+ * Saves (inserts or replaces) a document, once its defaults are filled in and it's found to match the schema
+ *
+ * @returns {Promise}  resolved with what the driver's save gives, or rejected with a ValidationError
+ */
+Model.prototype.save = function(doc, opt_options) {
+	var that = this;
+	return Promise.try(function() {
+			var withDefaults = that.applyDefaults(doc);
+			that._check(that.validate(withDefaults));
+			return that.collection()
+				.then(function(collection) {
+					return collection.saveAsync(withDefaults, opt_options || {});
+				});
+		});
+};
+
+/**
+ * Updates the matching document(s), once the update is found to match the schema. see Model.prototype.validateUpdate
+ *
+ * @returns {Promise}  resolved with what the driver's update gives, or rejected with a ValidationError
+ */
+Model.prototype.update = function(selector, update, opt_options) {
+	var that = this;
+	return Promise.try(function() {
+			that._check(that.validateUpdate(update, { upsert: !!(opt_options && opt_options.upsert), selector: selector }));
+			return that.collection()
+				.then(function(collection) {
+					return collection.updateAsync(selector, update, opt_options || {});
+				});
+		});
+};
+
+Model.prototype.findOne = function(selector, opt_options) {
+	return this.collection()
+		.then(function(collection) {
+			return collection.findOneAsync(selector || {}, opt_options || {});
+		});
+};
+
+/**
+ * @returns {Promise}  resolved with the array of matching documents
+ */
+Model.prototype.find = function(selector, opt_options) {
+	return this.collection()
+		.then(function(collection) {
+			return collection.find(selector || {}, opt_options || {}).toArrayAsync();
+		});
+};
+
+Model.prototype.remove = function(selector, opt_options) {
+	return this.collection()
+		.then(function(collection) {
+			return collection.removeAsync(selector || {}, opt_options || {});
+		});
+};
+
+Model.prototype._check = function(errors) {
+	if (errors.length)
+	{
+		throw new ValidationError(this.collectionName, errors);
+	}
+};
+
+function validateFields(schema, doc, prefix, strict) {
+	var errors = [];
+	_.each(schema, function(fieldSpec, key) {
+		errors.push.apply(errors, validateValue(toSpec(fieldSpec), doc[key], prefix + key, strict));
+	});
+	if (strict)
+	{
+		_.each(_.keys(doc), function(key) {
+			if (key !== '_id' && !_.has(schema, key))
+			{
+				errors.push({ path: prefix + key, message: 'unknown field ' + prefix + key });
+			}
+		});
+	}
+	return errors;
+}
+
+function validateValue(spec, value, path, strict) {
+	if (value == null)
+	{
+		return spec.required ? [ { path: path, message: path + ' is required' } ] : [];
+	}
+	if (!TYPE_CHECKS[spec.type](value))
+	{
+		return [ { path: path, message: path + ' must be ' + TYPE_DESCRIPTIONS[spec.type] } ];
+	}
+	if (spec.enum && !_.some(spec.enum, _.partial(_.isEqual, value)))
+	{
+		return [ { path: path, message: path + ' must be one of ' + spec.enum.join(', ') } ];
+	}
+	if (spec.type === 'object' && spec.schema)
+	{
+		return validateFields(spec.schema, value, path + '.', strict);
+	}
+	if (spec.type === 'array' && spec.of)
+	{
+		return _.flatten(_.map(value, function(item, index) {
+			return validateValue(toSpec(spec.of), item, path + '.' + index, strict);
+		}), true);
+	}
+	return [];
+}
+
+function checkSetField(spec, value, path, operator, model) {
+	return spec ? validateValue(spec, value, path, model.options.strict) : checkUnknownField(path, model);
+}
+
+function checkRemovedField(spec, value, path) {
+	return (spec && spec.required) ? [ { path: path, message: path + ' is required, so it can\'t be unset' } ] : [];
+}
+
+function checkRenamedField(spec, newPath, path, operator, model) {
+	if (spec && spec.required)
+	{
+		return [ { path: path, message: path + ' is required, so it can\'t be renamed' } ];
+	}
+	var newSpec = getFieldSpec(model.schema, newPath);
+	if (!newSpec)
+	{
+		return checkUnknownField(newPath, model);
+	}
+	if (newSpec.type !== 'any' && !(spec && spec.type === newSpec.type && !newSpec.enum && !newSpec.schema && !newSpec.of))
+	{
+		return [ { path: newPath, message: newPath + ' must be ' + TYPE_DESCRIPTIONS[newSpec.type] + ', so ' + path + ' can\'t be renamed to it' } ];
+	}
+	return [];
+}
+
+function checkNumericField(spec, value, path, operator, model) {
+	if (!spec)
+	{
+		return checkUnknownField(path, model);
+	}
+	if (!TYPE_CHECKS.number(value))
+	{
+		return [ { path: path, message: path + ' can only be changed by a number with ' + operator } ];
+	}
+	if ((spec.type !== 'any' && spec.type !== 'number') || spec.enum)
+	{
+		var description = spec.enum ? 'one of ' + spec.enum.join(', ') : TYPE_DESCRIPTIONS[spec.type];
+		return [ { path: path, message: path + ' must be ' + description + ', so it can\'t be changed with ' + operator } ];
+	}
+	return [];
+}
+
+function checkAddedItems(spec, value, path, operator, model) {
+	if (!spec)
+	{
+		return checkUnknownField(path, model);
+	}
+	if (spec.type !== 'any' && spec.type !== 'array')
+	{
+		return [ { path: path, message: path + ' must be ' + TYPE_DESCRIPTIONS[spec.type] + ', so it can\'t be changed with ' + operator } ];
+	}
+	if (!spec.of)
+	{
+		return [];
+	}
+	var items = (_.isPlainObject(value) && _.has(value, '$each')) ? value.$each : [ value ];
+	return _.flatten(_.map(items, function(item) {
+		return validateValue(toSpec(spec.of), item, path + '[]', model.options.strict);
+	}), true);
+}
+
+function checkCurrentDateField(spec, value, path, operator, model) {
+	if (!spec)
+	{
+		return checkUnknownField(path, model);
+	}
+	var setsDate = value === true || (_.isPlainObject(value) && value.$type === 'date');
+	if (spec.type !== 'any' && !(spec.type === 'date' && setsDate))
+	{
+		return [ { path: path, message: path + ' must be ' + TYPE_DESCRIPTIONS[spec.type] + ', so it can\'t be changed with ' + operator } ];
+	}
+	return [];
+}
+
+function checkUnknownField(path, model) {
+	return model.options.strict ? [ { path: path, message: 'unknown field ' + path } ] : [];
+}
+
+/**
+ * The document an upsert inserts gets the selector's equality fields, and the fields the update gives a value to,
+ * so between them they have to give every required field (defaults aren't filled in for updates)
+ */
+function checkUpsertedFields(schema, update, selector) {
+	var givenPaths = _.keys(_.omit(selector || {}, function(value, key) {
+		return isOperator(key) || (_.isPlainObject(value) && _.some(_.keys(value), isOperator) && !_.has(value, '$eq'));
+	}));
+	_.each(UPSERT_SETTING_OPERATORS, function(operator) {
+		givenPaths.push.apply(givenPaths, _.keys(update[operator]));
+	});
+	givenPaths.push.apply(givenPaths, _.values(update.$rename));
+	return _.compact(_.map(schema, function(fieldSpec, key) {
+		var isGiven = _.some(givenPaths, function(path) {
+			return path === key || path.indexOf(key + '.') === 0;
+		});
+		return (toSpec(fieldSpec).required && !isGiven) ? { path: key, message: key + ' is required, so an upsert has to give it' } : null;
+	}));
+}
+
+/**
+ * Finds the field spec for a dotted path (e.g. 'address.city' or 'tags.0'), or undefined if the schema doesn't have it
+ */
+function getFieldSpec(schema, path) {
+	var spec = { type: 'object', schema: schema };
+	var segments = path.split('.');
+	for (var i = 0; i < segments.length; i++)
+	{
+		if (spec.type === 'object' && spec.schema && _.has(spec.schema, segments[i]))
+		{
+			spec = toSpec(spec.schema[segments[i]]);
+		}
+		else if (spec.type === 'array' && spec.of && /^\d+$/.test(segments[i]))
+		{
+			spec = toSpec(spec.of);
+		}
+		else if (spec.type === 'any' || (spec.type === 'object' && !spec.schema) || (spec.type === 'array' && !spec.of) || (i === 0 && segments[i] === '_id'))
+		{
+			return { type: 'any' }; //there's no telling what's in there
+		}
+		else
+		{
+			return undefined;
+		}
+	}
+	return spec;
+}
+
+function applyDefaults(schema, doc) {
+	var withDefaults = _.clone(doc);
+	_.each(schema, function(fieldSpec, key) {
+		var spec = toSpec(fieldSpec);
+		if (withDefaults[key] === undefined && spec.default !== undefined)
+		{
+			withDefaults[key] = _.isFunction(spec.default) ? spec.default() : _.cloneDeep(spec.default);
+		}
+		if (spec.type === 'object' && spec.schema && _.isPlainObject(withDefaults[key]))
+		{
+			withDefaults[key] = applyDefaults(spec.schema, withDefaults[key]);
+		}
+	});
+	return withDefaults;
+}
+
+function checkSchema(schema, prefix) {
+	if (!_.isPlainObject(schema))
+	{
+		return [ (prefix ? prefix.slice(0, -1) + '.schema' : 'the schema') + ' must be an object' ];
+	}
+	return _.flatten(_.map(schema, function(fieldSpec, key) {
+		return checkFieldSpec(fieldSpec, prefix + key);
+	}), true);
+}
+
+function checkFieldSpec(fieldSpec, path) {
+	if (_.isString(fieldSpec))
+	{
+		return _.has(TYPE_CHECKS, fieldSpec) ? [] : [ path + ' has an unknown type: ' + fieldSpec ];
+	}
+	if (!_.isPlainObject(fieldSpec))
+	{
+		return [ path + ' must be a type name or an object' ];
+	}
+	var problems = _.map(_.difference(_.keys(fieldSpec), FIELD_KEYS), function(key) {
+		return path + ' has an unknown key: ' + key;
+	});
+	if (fieldSpec.type != null && !_.has(TYPE_CHECKS, fieldSpec.type))
+	{
+		problems.push(path + ' has an unknown type: ' + fieldSpec.type);
+	}
+	if (fieldSpec.enum != null && !_.isArray(fieldSpec.enum))
+	{
+		problems.push(path + '.enum must be an array');
+	}
+	if (fieldSpec.schema != null)
+	{
+		problems.push.apply(problems, fieldSpec.type === 'object' ? checkSchema(fieldSpec.schema, path + '.') : [ path + ' can only have a schema if it\'s an object' ]);
+	}
+	if (fieldSpec.of != null)
+	{
+		problems.push.apply(problems, fieldSpec.type === 'array' ? checkFieldSpec(fieldSpec.of, path + '[]') : [ path + ' can only have an of if it\'s an array' ]);
+	}
+	return problems;
+}
+
+function toSpec(fieldSpec) {
+	return _.defaults(_.isString(fieldSpec) ? { type: fieldSpec } : _.clone(fieldSpec), { type: 'any' });
+}
+
+function prefixPaths(errors, prefix) {
+	return _.map(errors, function(error) {
+		return { path: prefix + '.' + error.path, message: prefix + ' ' + error.message };
+	});
+}
+
+function isOperator(key) {
+	return key.charAt(0) === '$';
+}
+
+module.exports = Model;
@@ -1,95 +1,395 @@
 'use strict';
 
 var _ = require('lodash');
+var EventEmitter = require('events').EventEmitter;
 var mongo = require('mongodb');
 var collectionWrapper = require('./collectionWrapper');
+var connectionString = require('./connectionString');
+var dbConfig = require('./dbConfig');
+var operationTracker = require('./operationTracker');
+var instrumentation = require('./instrumentation');
+var Model = require('./model');
+var migrations = require('./migrations');
 var Promise = require('bluebird');
 var MongoClient = mongo.MongoClient;
 var Collection = mongo.Collection;
 var ObjectId = mongo.ObjectID;
-var dbConfig;
-var dbPromises = {};
+var DEFAULT_CLUSTER = 'default';
+var dbConfigs = {}; //keyed by cluster name
+var dbPromises = {}; //keyed by cluster name + '/' + dbName (which can't contain a '/')
+var RETRY_DEFAULTS = {
+	maxAttempts: 1,
+	initialDelay: 100,
+	maxDelay: 10000,
+	factor: 2,
+	isRetryable: isRetryableError
+};
+var AUTH_ERROR_CODES = [ 18, 13 ]; //AuthenticationFailed, Unauthorized
+// the messages of auth errors that come without a code, from the driver or older servers. not just /auth/, which host names can contain
+var AUTH_ERROR_MESSAGE = /\b(auth failed|authentication failed|could not authenticate|not authorized)\b/i;
+var DEFAULT_PING_TIMEOUT = 5000;
+var DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+var TOPOLOGIES = [ 'server', 'replSet', 'mongos' ];
+var TOPOLOGY_OPTION_DEFAULTS = {
+	socketOptions: {
+		connectTimeoutMS: 1000,
+		keepAlive: 120000 //so idle pooled connections aren't silently dropped by firewalls and load balancers
+	}
+};
+var COLLECTION_DEFAULT_KEYS = [ 'readPreference', 'writeConcern' ];
+var shutdownPromise = null;
+var emitter = new EventEmitter();
 
 Promise.promisifyAll(MongoClient);
 collectionWrapper.wrap(Collection);
 
-exports.setConfig = function(config) {
-	if (!config || !_.isPlainObject(config))
+/**
+ * The module is an event emitter, for the lifecycle events of its connections. Each listener is called with
+ * an object containing the cluster and dbName of the connection (and the error, if there is one):
+ *   - connected: a connection was established by getDb
+ *   - disconnected: an established connection was lost
+ *   - reconnected: the driver re-established a lost connection
+ *   - closed: a connection was closed by close or closeAll
+ *   - error: a connection failed to be established, or the driver reported an error or timeout on one
+ *     (unlike with most event emitters, this isn't thrown if there are no listeners for it)
+ */
+_.each([ 'on', 'once', 'addListener', 'removeListener', 'removeAllListeners', 'listeners' ], function(method) {
+	exports[method] = function() {
+		var result = emitter[method].apply(emitter, arguments);
+		return (result === emitter) ? exports : result;
+	};
+});
+
+/**
+ * Sets the config for connecting to a cluster. With just a config, it's the default cluster's config,
+ * which getDb(dbName) uses. Other clusters are reached with getDb(clusterName, dbName)
+ */
+exports.setConfig = function(clusterNameOrConfig, opt_config) {
+	var clusterName = (arguments.length > 1) ? clusterNameOrConfig : DEFAULT_CLUSTER;
+	var config = (arguments.length > 1) ? opt_config : clusterNameOrConfig;
+	if (!_.isString(clusterName) || !clusterName.length || clusterName.indexOf('/') !== -1)
+	{
+		throw new Error('Invalid cluster name was passed to mongoWrapper.setConfig()!');
+	}
+	if (!config || !(_.isPlainObject(config) || connectionString.isConnectionString(config)))
 	{
 		throw new Error('Empty DB Config was passed to mongoWrapper.setConfig()!');
 	}
-	dbConfig = _.cloneDeep(config);
+	checkConfig(config, 'mongoWrapper.setConfig()');
+	dbConfigs[clusterName] = normalizeConfig(config);
+};
+
+/**
+ * Checks a dbConfig for problems, like misspelled keys or values of the wrong type. setConfig and getDb do this, too,
+ * throwing an error that lists the problems, but they only count unknown keys as problems if the config's strict key is true
+ *
+ * @returns {Array}  a message for each problem found, or an empty array if there are none
+ */
+exports.validateConfig = function(config) {
+	return dbConfig.validate(toConfigObject(config), { strict: true });
 };
 
-exports.getDb = function(dbNameOrConfig) {
+/**
+ * Builds a dbConfig out of environment variables, named with the given prefix (which defaults to 'MONGO_').
+ * see dbConfig.fromEnv for the variable names. opt_env is the environment to read, which defaults to process.env
+ */
+exports.configFromEnv = function(opt_prefix, opt_env) {
+	return dbConfig.fromEnv(opt_prefix, opt_env);
+};
+
+/**
+ * Connects to a database (see resolveTarget for the arguments it takes), or reuses the connection already made to it.
+ * The collections of the db it resolves with get the config's readPreference and writeConcern as defaults
+ */
+exports.getDb = function(dbNameOrConfig, opt_dbName) {
+	var args = arguments;
 	return new Promise(function(resolve) {
-		var dbName;
-		var config;
-		if (_.isString(dbNameOrConfig))
+		if (shutdownPromise)
 		{
-			if (!dbConfig)
-			{
-				throw new Error('No dbConfig has been set!');
-			}
-			dbName = dbNameOrConfig;
-			config = dbConfig;
-		}
-		else if (_.isPlainObject(dbNameOrConfig) && _.isString(dbNameOrConfig.dbName))
-		{
-			config = dbNameOrConfig;
-			dbName = config.dbName;
+			throw new Error('No new connections can be made, since porqpine is shutting down');
 		}
-		else
+		var target = resolveTarget.apply(null, args);
+		if (!target.config)
 		{
-			throw new Error('Missing or invalid parameter provided to mongo.getDb()');
+			throw new Error(target.cluster === DEFAULT_CLUSTER ? 'No dbConfig has been set!' : 'No dbConfig has been set for the \'' + target.cluster + '\' cluster!');
 		}
 
-		if (!dbPromises[dbName] || dbPromises[dbName].isRejected())
+		if (!dbPromises[target.key] || dbPromises[target.key].isRejected())
 		{
 			var that = exports;
-			dbPromises[dbName] = new Promise(function(innerResolve, innerReject) {
-				var conf = _.extend(_.cloneDeep(config), { dbName: dbName });
-				var connectionString = that.buildConnectionString(conf);
+			dbPromises[target.key] = new Promise(function(innerResolve, innerReject) {
+				var conf = _.extend(_.cloneDeep(target.config), { dbName: target.dbName });
+				var uri = that.buildConnectionString(conf);
 				var connectionOptions = getConnectionOptions(conf);
-				MongoClient.connectAsync(connectionString, connectionOptions)
+				connectWithRetry(uri, connectionOptions, conf.retry)
 					.then(function(result) {
+						watchConnection(target, result);
+						emitLifecycleEvent('connected', target);
 						innerResolve(result);
 					})
 					.catch(function(err){
+						emitLifecycleEvent('error', target, err);
 						innerReject(err);
 					});
 			});
 		}
-		resolve(dbPromises[dbName]);
+		resolve(dbPromises[target.key].then(function(db) {
+			return collectionWrapper.withCollectionDefaults(db, _.pick(target.config, COLLECTION_DEFAULT_KEYS));
+		}));
 	});
 };
 
-exports.close = function(dbName) {
-	return new Promise(function(resolve) {
-		if (dbPromises[dbName])
-		{
-			dbPromises[dbName]
-				.then(function(db) {
-					db.close();
-					delete dbPromises[dbName];
-					resolve();
-				})
-				.catch(function() {
-					delete dbPromises[dbName];
-					resolve();
+/**
+ * Closes the connection to a database, given the same arguments as getDb. Just a dbName also closes the
+ * connections to that database that getDb made from ad-hoc configs (e.g. getDb({ dbName, hosts })).
+ */
+exports.close = function(dbNameOrConfig, opt_dbName) {
+	var args = arguments;
+	return Promise.try(function() {
+			var target = resolveTarget.apply(null, args);
+			var keys = [ target.key ];
+			if (_.isString(dbNameOrConfig) && opt_dbName === undefined && target.cluster === DEFAULT_CLUSTER)
+			{
+				keys = keys.concat(_.filter(_.keys(dbPromises), function(key) {
+					return isAdHocCluster(getClusterOfKey(key)) && describeKey(key).dbName === target.dbName;
+				}));
+			}
+			return Promise.all(_.map(keys, closeConnection));
+		});
+};
+
+/**
+ * Runs a ping command on a database's server, connecting to it first if need be.
+ * Takes the same arguments as getDb, optionally followed by a timeout (in milliseconds), which defaults to 5000
+ *
+ * @returns {Promise}  resolved with the ping's round trip time (in milliseconds), or rejected if it fails or times out
+ */
+exports.ping = function(/* dbNameOrConfig[, dbName][, timeoutMS] */) {
+	var args = _.toArray(arguments);
+	var timeout = (args.length > 1 && _.isNumber(_.last(args))) ? args.pop() : DEFAULT_PING_TIMEOUT;
+	return pingDb(exports.getDb.apply(exports, args), timeout);
+};
+
+/**
+ * Pings every database that getDb has connected to (or is connecting to)
+ *
+ * @param   {number}   opt_timeoutMS  (optional) how long to wait for each ping. defaults to 5000
+ * @returns {Promise}  resolved with { ok, databases }, where ok is true if every database is, and databases is an array of
+ *                     { cluster, dbName, ok, latencyMS } objects (with the error message, instead of latencyMS, for those that aren't ok)
+ */
+exports.health = function(opt_timeoutMS) {
+	var timeout = opt_timeoutMS || DEFAULT_PING_TIMEOUT;
+	return Promise.all(_.map(_.keys(dbPromises), function(key) {
+			var status = describeKey(key);
+			return pingDb(dbPromises[key], timeout)
+				.then(function(latency) {
+					return _.extend(status, { ok: true, latencyMS: latency });
+				}, function(err) {
+					return _.extend(status, { ok: false, error: err.message || String(err) });
 				});
+		}))
+		.then(function(databases) {
+			return { ok: _.every(databases, 'ok'), databases: databases };
+		});
+};
+
+/**
+ * Closes all the open connections, or only those to the given cluster
+ */
+exports.closeAll = function(opt_clusterName) {
+	var keys = _.filter(_.keys(dbPromises), function(key) {
+		return !opt_clusterName || getClusterOfKey(key) === opt_clusterName;
+	});
+	return Promise.all(_.map(keys, closeConnection));
+};
+
+/**
+ * Shuts down gracefully: getDb stops handing out connections, then once every pending (promisified) collection
+ * operation and cursor read has settled, or the timeout is up, all the connections are closed.
+ * Calling it again just returns the same promise.
+ *
+ * @param   {Object}   opt_options   (optional) An object containing any of the following keys:
+ *                                     - timeout: {number} how long (in milliseconds) to wait for pending operations. defaults to 10000
+ * @returns {Promise}  resolved, once the connections are closed, with { timedOut, pending }, where pending is an array of
+ *                     { operation, namespace, startedAt } objects describing the operations still pending when the timeout hit
+ */
+exports.shutdown = function(opt_options) {
+	if (!shutdownPromise)
+	{
+		var options = _.defaults({}, opt_options, { timeout: DEFAULT_SHUTDOWN_TIMEOUT });
+		shutdownPromise = operationTracker.waitForPending(options.timeout)
+			.then(function(pending) {
+				return exports.closeAll()
+					.return({ timedOut: pending.length > 0, pending: pending });
+			});
+	}
+	return shutdownPromise;
+};
+
+/**
+ * Installs signal handlers that shut down gracefully (see exports.shutdown) when the process is told to stop
+ *
+ * @param   {Object}    opt_options   (optional) An object containing any of the following keys:
+ *                                      - timeout: {number} same as for exports.shutdown
+ *                                      - signals: {Array} the signals to handle. defaults to [ 'SIGINT', 'SIGTERM' ]
+ *                                      - onShutdown: {Function} called with (report, signal) once shut down, where report is
+ *                                          what exports.shutdown resolves with. If not given, the process exits afterward
+ *                                          (with exit code 1 if the timeout hit)
+ * @returns {Function}  removes the signal handlers again
+ */
+exports.enableGracefulShutdown = function(opt_options) {
+	var options = _.defaults({}, opt_options, { signals: [ 'SIGINT', 'SIGTERM' ] });
+	var handlers = {};
+	var removeHandlers = function() {
+		_.each(handlers, function(handler, signal) {
+			process.removeListener(signal, handler);
+		});
+	};
+	_.each(options.signals, function(signal) {
+		handlers[signal] = function() {
+			removeHandlers(); //so a second signal gets its default behavior, in case shutting down gets stuck
+			exports.shutdown(options)
+				.then(function(report) {
+					if (options.onShutdown)
+					{
+						options.onShutdown(report, signal);
+					}
+					else
+					{
+						process.exit(report.timedOut ? 1 : 0);
+					}
+				})
+				.done();
+		};
+		process.on(signal, handlers[signal]);
+	});
+	return removeHandlers;
+};
+
+exports.invalidateCacheTags = function(dbNameOrConfig, tags, opt_cacheCollectionName) {
+	return exports.getDb(dbNameOrConfig)
+		.then(function(db) {
+			return collectionWrapper.invalidateCacheTags(db, tags, opt_cacheCollectionName);
+		});
+};
+
+exports.listCacheEntries = function(dbNameOrConfig, criteria, opt_cacheCollectionName) {
+	return exports.getDb(dbNameOrConfig)
+		.then(function(db) {
+			return collectionWrapper.listCacheEntries(db, criteria, opt_cacheCollectionName);
+		});
+};
+
+exports.purgeCache = function(dbNameOrConfig, criteria, opt_cacheCollectionName) {
+	return exports.getDb(dbNameOrConfig)
+		.then(function(db) {
+			return collectionWrapper.purgeCache(db, criteria, opt_cacheCollectionName);
+		});
+};
+
+exports.getCacheStats = function() {
+	return collectionWrapper.getCacheStats();
+};
+
+exports.resetCacheStats = function() {
+	collectionWrapper.resetCacheStats();
+};
+
+exports.setCacheDefaults = function(defaults) {
+	collectionWrapper.setCacheDefaults(defaults);
+};
+
+exports.setMemoryCacheOptions = function(options) {
+	collectionWrapper.setMemoryCacheOptions(options);
+};
+
+/**
+ * Adds a hook that's called with the db, collection, method, args and durationMS of every promisified collection operation
+ * and cursor read once it settles, and of every cached query (along with how it used the cache). see instrumentation.addHook
+ *
+ * @returns {Function}  removes the hook again
+ */
+exports.addQueryHook = function(hook) {
+	return instrumentation.addHook(hook);
+};
+
+exports.removeQueryHook = function(hook) {
+	instrumentation.removeHook(hook);
+};
+
+/**
+ * Logs the operations that take longer than a threshold. see instrumentation.slowQueryLogger for the options
+ *
+ * @returns {Function}  stops logging them again
+ */
+exports.logSlowQueries = function(opt_options) {
+	return instrumentation.addHook(instrumentation.slowQueryLogger(opt_options));
+};
+
+/**
+ * Turns on promise mode, where collection (and cursor) functions called without a callback return a promise, so that
+ * e.g. findOne() can be used instead of findOneAsync(). see collectionWrapper.wrap
+ *
+ * @param   {Object}   opt_options   (optional) An object containing the following key:
+ *                                     - Promise: {Function} the Promise constructor to use. defaults to the global Promise
+ */
+exports.usePromises = function(opt_options) {
+	collectionWrapper.wrap(Collection, _.extend({}, opt_options, { promises: true }));
+};
+
+/**
+ * Makes a model: a collection whose inserts, saves and updates are validated against a schema before they reach the database,
+ * and rejected with a ValidationError (listing each problem's path and message) if they don't match it. see Model for the schema format
+ *
+ * @param   {string}   collectionName   the name of the collection
+ * @param   {Object}   schema           the schema of its documents
+ * @param   {Object}   options          An object containing the following keys:
+ *                                        - db: {string|Object} the db name or config to get the db with. see getDb
+ *                                        - dbName: {string} (optional) the db name, if db is a cluster or config
+ *                                        - strict: {boolean} (optional) if true, fields that aren't in the schema aren't allowed
+ * @returns {Model}
+ */
+exports.model = function(collectionName, schema, options) {
+	if (!options || !options.db)
+	{
+		throw new Error('The ' + collectionName + ' model needs a db option');
+	}
+	return new Model(function() {
+		return exports.getDb(options.db, options.dbName)
+			.then(function(db) {
+				return db.collection(collectionName);
+			});
+	}, collectionName, schema, _.omit(options, 'db', 'dbName'));
+};
+
+exports.ValidationError = Model.ValidationError;
+
+/**
+ * Runs (or lists) the migrations of a database. see migrations.up for how they're found, recorded and locked
+ *
+ * @param   {string}   action    'up', 'down' or 'status'
+ * @param   {Object}   options   An object containing the following keys, along with the options of migrations.up:
+ *                                 - db: {string|Object} the db name or config to get the db with. see getDb
+ *                                 - dbName: {string} (optional) the db name, if db is a cluster or config
+ * @returns {Promise}  resolved with the migrations that were run (or would have been, for a dry run), or their statuses
+ */
+exports.migrate = function(action, options) {
+	return Promise.try(function() {
+		if (!_.contains([ 'up', 'down', 'status' ], action))
+		{
+			throw new Error('Unknown migration action: ' + action + ' (it must be up, down or status)');
 		}
-		else
+		if (!options || !options.db)
 		{
-			resolve();
+			throw new Error('Migrations need a db option');
 		}
+		return exports.getDb(options.db, options.dbName)
+			.then(function(db) {
+				return migrations[action](db, _.omit(options, 'db', 'dbName'));
+			});
 	});
 };
 
-exports.closeAll = function() {
-	return Promise.all(_.invoke(_.keys(dbPromises), exports.close));
-};
-
 exports.objectId = function(id) {
 	return new ObjectId(id);
 };
@@ -105,53 +405,261 @@ exports.objectIds = function(ids) {
 
 //exposed on exports mainly for testing purposes
 exports.buildConnectionString = function(conf) {
-	var string = 'mongodb://';
-	if (conf && conf.user && conf.user.length)
+	return connectionString.build(conf);
+};
+
+/**
+ * The default test for whether a failed connection attempt is worth retrying. see the retry config option
+ */
+exports.isRetryableError = function(err) {
+	return isRetryableError(err);
+};
+
+exports.getMongoInstance = function() {
+	return mongo;
+};
+
+/**
+ * Works out which cluster and database the arguments to getDb (or close) refer to, and the config for connecting to it:
+ *   - (dbName) is a database on the default cluster
+ *   - (clusterName, dbName) is a database on a cluster given to setConfig
+ *   - ({ cluster, dbName, ... }) is the same, with any other keys overriding the cluster's config
+ *   - (connectionString) or ({ dbName, ... }) is an ad-hoc config, which is treated as a cluster of its own
+ *     (identified by its user and hosts), so it doesn't share connections with any other cluster
+ */
+function resolveTarget(dbNameOrConfig, opt_dbName) {
+	var cluster;
+	var dbName;
+	var config;
+	if (_.isString(opt_dbName))
+	{
+		cluster = dbNameOrConfig;
+		dbName = opt_dbName;
+		config = dbConfigs[cluster];
+	}
+	else if (_.isPlainObject(dbNameOrConfig) && _.isString(dbNameOrConfig.cluster))
 	{
-		string += conf.user;
-		if (conf.pass && conf.pass.length)
+		cluster = dbNameOrConfig.cluster;
+		checkConfig(_.omit(dbNameOrConfig, 'cluster'), 'mongo.getDb()', { partial: true });
+		config = dbConfigs[cluster] && _.extend(_.cloneDeep(dbConfigs[cluster]), normalizeConfig(_.omit(dbNameOrConfig, 'cluster')));
+		dbName = dbNameOrConfig.dbName;
+	}
+	else if (connectionString.isConnectionString(dbNameOrConfig) || (_.isPlainObject(dbNameOrConfig) && dbNameOrConfig.uri))
+	{
+		checkConfig(dbNameOrConfig, 'mongo.getDb()');
+		config = normalizeConfig(dbNameOrConfig);
+		dbName = config.dbName;
+		if (!_.isString(dbName) || !dbName.length)
 		{
-			string += ':' + conf.pass;
+			throw new Error('No dbName was given in the connection string passed to mongo.getDb()');
 		}
-		string += '@';
+		cluster = describeCluster(config);
+	}
+	else if (_.isString(dbNameOrConfig))
+	{
+		cluster = DEFAULT_CLUSTER;
+		dbName = dbNameOrConfig;
+		config = dbConfigs[cluster];
+	}
+	else if (_.isPlainObject(dbNameOrConfig) && _.isString(dbNameOrConfig.dbName))
+	{
+		checkConfig(dbNameOrConfig, 'mongo.getDb()');
+		config = normalizeConfig(dbNameOrConfig);
+		dbName = config.dbName;
+		cluster = describeCluster(config);
+	}
+	if (!_.isString(dbName) || !dbName.length || dbName.indexOf('/') !== -1)
+	{
+		throw new Error('Missing or invalid parameter provided to mongo.getDb()');
 	}
+	return { cluster: cluster, dbName: dbName, config: config, key: cluster + '/' + dbName };
+}
+
+/**
+ * Identifies the cluster an ad-hoc config connects to, by its user and hosts (but not its password)
+ */
+function describeCluster(config) {
+	var hosts = _.map(config.hosts, function(host) {
+		return host.port ? host.host + ':' + host.port : host.host;
+	});
+	return 'mongodb://' + (config.user ? config.user + '@' : '') + hosts.join(',');
+}
+
+function isAdHocCluster(cluster) {
+	return cluster.indexOf('mongodb://') === 0; //see describeCluster
+}
+
+function getClusterOfKey(key) {
+	return key.slice(0, key.lastIndexOf('/'));
+}
+
+function describeKey(key) {
+	return { cluster: getClusterOfKey(key), dbName: key.slice(key.lastIndexOf('/') + 1) };
+}
+
+function closeConnection(key) {
+	return new Promise(function(resolve) {
+		if (dbPromises[key])
+		{
+			dbPromises[key]
+				.then(function(db) {
+					db._porqpineClosing = true; //so its close event isn't taken for a lost connection
+					db.close();
+					delete dbPromises[key];
+					emitLifecycleEvent('closed', describeKey(key));
+					resolve();
+				})
+				.catch(function() {
+					delete dbPromises[key];
+					resolve();
+				});
+		}
+		else
+		{
+			resolve();
+		}
+	});
+}
+
+function pingDb(dbPromise, timeout) {
+	var start = Date.now();
+	return Promise.resolve(dbPromise)
+		.then(function(db) {
+			return Promise.promisify(db.command, db)({ ping: 1 });
+		})
+		.timeout(timeout, 'Ping timed out after ' + timeout + 'ms')
+		.then(function() {
+			return Date.now() - start;
+		});
+}
 
-	if (conf && conf.hosts && conf.hosts.length)
+/**
+ * Re-emits the driver's events for a connection as the module's lifecycle events
+ */
+function watchConnection(target, db) {
+	if (!db || !_.isFunction(db.on))
 	{
-		_.each(conf.hosts, function(host, ind) {
-			if (ind !== 0)
-			{
-				string += ',';
-			}
-			string += host.host;
-			if (host.port)
-			{
-				string += ':' + host.port;
-			}
+		return;
+	}
+	var info = _.pick(target, 'cluster', 'dbName');
+	db.on('close', function(err) {
+		if (!db._porqpineClosing)
+		{
+			emitLifecycleEvent('disconnected', info, err);
+		}
+	});
+	db.on('reconnect', function() {
+		emitLifecycleEvent('reconnected', info);
+	});
+	_.each([ 'error', 'timeout' ], function(event) {
+		db.on(event, function(err) {
+			emitLifecycleEvent('error', info, err);
 		});
-		string += '/';
+	});
+}
+
+function emitLifecycleEvent(event, target, opt_err) {
+	if (event === 'error' && !emitter.listeners('error').length)
+	{
+		return;
+	}
+	var info = _.pick(target, 'cluster', 'dbName');
+	if (opt_err)
+	{
+		info.error = opt_err;
 	}
+	emitter.emit(event, info);
+}
+
+/**
+ * Connects, retrying failed attempts with exponential backoff (see the retry config option). Every getDb call
+ * for the same database shares the one promise for all of the attempts, so they never retry independently.
+ */
+function connectWithRetry(uri, connectionOptions, retryOptions) {
+	var options = _.defaults({}, retryOptions, RETRY_DEFAULTS);
+	var attempt = function(attemptNumber) {
+		return MongoClient.connectAsync(uri, connectionOptions)
+			.catch(function(err) {
+				if (attemptNumber >= options.maxAttempts || !options.isRetryable(err))
+				{
+					throw err;
+				}
+				return Promise.delay(getRetryDelay(options, attemptNumber))
+					.then(function() {
+						return attempt(attemptNumber + 1);
+					});
+			});
+	};
+	return attempt(1);
+}
+
+/**
+ * The delay before the next attempt grows by the given factor with each attempt, up to maxDelay. Only the first half of it
+ * is fixed, and the rest is random, so that clients that failed at the same time don't all retry at the same time, too.
+ */
+function getRetryDelay(options, attemptNumber) {
+	var delay = Math.min(options.maxDelay, options.initialDelay * Math.pow(options.factor, attemptNumber - 1));
+	return delay / 2 + Math.random() * delay / 2;
+}
 
-	string += conf && conf.dbName;
+/**
+ * Network errors and the like are worth retrying, but there's no point in retrying a failed login
+ */
+function isRetryableError(err) {
+	return !(err && (_.contains(AUTH_ERROR_CODES, err.code) || AUTH_ERROR_MESSAGE.test(err.message || err.errmsg)));
+}
 
-	if (conf && conf.replicaSet)
+/**
+ * Turns a connection string, or a config object with a uri key, into a plain dbConfig object.
+ * Any keys given alongside the uri take precedence over what's parsed out of it.
+ */
+function normalizeConfig(config) {
+	var normalized;
+	if (_.isString(config))
+	{
+		normalized = connectionString.parse(config);
+	}
+	else if (config.uri)
+	{
+		normalized = _.extend(connectionString.parse(config.uri), _.omit(_.cloneDeep(config), 'uri'));
+	}
+	else
 	{
-		string += '?replicaSet=' + conf.replicaSet;
+		normalized = _.cloneDeep(config);
 	}
+	if (normalized.hosts)
+	{
+		normalized.hosts = _.map(normalized.hosts, function(host) { //'host:port' is shorthand for { host: 'host', port: port }
+			return _.isString(host) ? connectionString.parse('mongodb://' + host).hosts[0] : host;
+		});
+	}
+	return normalized;
+}
 
-	return string;
-};
+function toConfigObject(config) {
+	return connectionString.isConnectionString(config) ? connectionString.parse(config) : config;
+}
 
-exports.getMongoInstance = function() {
-	return mongo;
-};
+function checkConfig(config, where, opt_options) {
+	var problems = dbConfig.validate(toConfigObject(config), opt_options);
+	if (problems.length)
+	{
+		throw new Error('Invalid DB Config was passed to ' + where + ':\n  - ' + problems.join('\n  - '));
+	}
+}
 
+/**
+ * Builds the options for MongoClient.connect out of the config's options section. Its db, server, replSet and mongos keys
+ * are passed on as they are, and any other keys (like poolSize or socketOptions) apply to all three topologies,
+ * unless overridden within server, replSet or mongos.
+ */
 function getConnectionOptions(conf) {
-	return {
-		server: {
-			socketOptions: {
-				connectTimeoutMS: conf.connectTimeoutMS || 1000
-			}
-		}
-	};
+	var options = conf.options || {};
+	var sharedOptions = _.omit(options, 'db', TOPOLOGIES);
+	var connectTimeout = conf.connectTimeoutMS ? { socketOptions: { connectTimeoutMS: conf.connectTimeoutMS } } : {}; //shorthand, kept from before there were options
+	var connectionOptions = { db: _.cloneDeep(options.db || {}) };
+	_.each(TOPOLOGIES, function(topology) {
+		connectionOptions[topology] = _.merge({}, TOPOLOGY_OPTION_DEFAULTS, connectTimeout, sharedOptions, options[topology]);
+	});
+	return connectionOptions;
 }
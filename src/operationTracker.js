@@ -0,0 +1,81 @@
+'use strict';
+
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var pendingOperations = {};
+var nextOperationId = 1;
+
+/**
+ * Keeps track of the given promise for an operation until it settles
+ *
+ * @param   {Promise}   promise       the promise for the operation
+ * @param   {Object}    description   describes the operation (e.g. { operation: 'findOne', namespace: 'db.orders' })
+ * @returns {Promise}   a promise that settles the same way as the given one
+ */
+exports.track = function(promise, description) {
+	var id = nextOperationId++;
+	pendingOperations[id] = { promise: promise, description: _.extend({ startedAt: new Date() }, description) };
+	return promise.finally(function() {
+		delete pendingOperations[id];
+	});
+};
+
+/**
+ * Returns the descriptions (along with when they were started) of all the operations that haven't settled yet
+ */
+exports.getPending = function() {
+	return _.pluck(_.values(pendingOperations), 'description');
+};
+
+/**
+ * Waits for every pending operation to settle, including any that are started while waiting
+ *
+ * @param   {number}    timeout   how long (in milliseconds) to wait, at most
+ * @returns {Promise}   resolved with the descriptions of the operations that were still pending when the timeout hit,
+ *                      or with an empty array if they all settled in time
+ */
+exports.waitForPending = function(timeout) {
+	var deadline = Date.now() + timeout;
+	var wait = function() {
+		var promises = _.pluck(_.values(pendingOperations), 'promise');
+		var remaining = deadline - Date.now();
+		if (!promises.length || remaining <= 0)
+		{
+			return Promise.resolve(exports.getPending());
+		}
+		return Promise.settle(promises)
+			.timeout(remaining)
+			.then(wait, function(err) {
+				if (!(err instanceof Promise.TimeoutError))
+				{
+					throw err;
+				}
+				return exports.getPending();
+			});
+	};
+	return wait();
+};
+
+/**
+ * Wraps every promisified (*Async) method of the given object, so that the operations it starts are tracked
+ *
+ * @param   {Object}    obj        the promisified object (or prototype)
+ * @param   {Function}  describe   called with (the object the method is called on, the method name), returning the operation's description
+ */
+exports.trackAsyncMethods = function(obj, describe) {
+	_.each(_.functions(obj), function(name) {
+		var promisified = obj[name];
+		if (!/Async$/.test(name) || promisified.__isTracked__)
+		{
+			return;
+		}
+		var tracked = function() {
+			return exports.track(promisified.apply(this, arguments), describe(this, name.slice(0, -'Async'.length)));
+		};
+		tracked.__isPromisified__ = promisified.__isPromisified__;
+		tracked.__isTracked__ = true;
+		obj[name] = tracked;
+	});
+	return obj;
+};
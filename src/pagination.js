@@ -0,0 +1,213 @@
+'use strict';
+
+var Promise = require('bluebird');
+var _ = require('lodash');
+var ObjectId = require('mongodb').ObjectID;
+
+var DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Finds a page of the documents matching a selector, in the given sort order. Rather than skipping over the documents of earlier
+ * pages, it uses range queries on the sort keys (with _id as the tiebreaker), starting from the boundary values of the page it's
+ * paging on from, which are encoded in the page token. So later pages are no slower than the first (given an index on the sort keys),
+ * and documents that are inserted or removed meanwhile don't shift the pages.
+ *
+ * @param   {Object}    collection   the (wrapped) collection
+ * @param   {Object}    selector     the query selector
+ * @param   {Object}    opt_options  (optional) An object containing any of the following keys:
+ *                                     - sort: {Object} e.g. { createdAt: -1 }. defaults to { _id: 1 }. _id is added as the last key
+ *                                         (in the direction of the one before it) if it isn't in there
+ *                                     - limit: {number} the page size. defaults to 20
+ *                                     - page: {string} the next or previous token of the page before, if this isn't the first page
+ *                                     - fields: {Object} the fields to return. the sort keys are always returned
+ * @returns {Promise}   resolved with an object containing the following keys:
+ *                        - items: {Array} the documents of the page
+ *                        - next: {string} the token for the page after this one, or null if it's the last
+ *                        - previous: {string} the token for the page before this one, or null if it's the first
+ */
+exports.paginate = function(collection, selector, opt_options) {
+	return Promise.try(function() {
+		var options = _.defaults({}, opt_options, { limit: DEFAULT_PAGE_SIZE });
+		if (!(options.limit >= 1))
+		{
+			throw new Error('The page size (limit) must be at least 1');
+		}
+		var sortKeys = toSortKeys(options.sort);
+		var token = options.page ? exports.decodeToken(options.page, sortKeys) : null;
+		var isBackward = !!token && token.direction === 'previous';
+		var querySortKeys = isBackward ? _.map(sortKeys, function(key) { return [ key[0], -key[1] ]; }) : sortKeys;
+		var query = token ? { $and: [ selector || {}, rangeSelector(querySortKeys, token.values) ] } : (selector || {});
+		var findOptions = { sort: querySortKeys, limit: options.limit + 1 };
+		if (!_.isEmpty(options.fields))
+		{
+			findOptions.fields = withSortFields(options.fields, sortKeys);
+		}
+		return Promise.fromNode(function(callback) {
+				collection.find(query, findOptions).toArray(callback);
+			})
+			.then(function(docs) {
+				var hasMore = docs.length > options.limit;
+				var items = docs.slice(0, options.limit);
+				if (isBackward)
+				{
+					items.reverse();
+				}
+				var hasNext = isBackward ? true : hasMore;
+				var hasPrevious = isBackward ? hasMore : !!token;
+				return {
+					items: items,
+					next: (hasNext && items.length) ? exports.encodeToken('next', sortKeys, _.last(items)) : null,
+					previous: (hasPrevious && items.length) ? exports.encodeToken('previous', sortKeys, _.first(items)) : null
+				};
+			});
+	});
+};
+
+/**
+ * Makes an opaque page token out of a document's values for the sort keys. ObjectIDs and Dates keep their types
+ *
+ * @param   {string}   direction   'next' or 'previous'
+ * @param   {Array}    sortKeys    the [ field, direction ] pairs of the sort
+ * @param   {Object}   doc         the boundary document
+ * @returns {string}
+ */
+exports.encodeToken = function(direction, sortKeys, doc) {
+	var payload = {
+		d: direction,
+		s: sortKeys,
+		v: _.map(sortKeys, function(key) {
+			return toTokenValue(getValue(doc, key[0]));
+		})
+	};
+	return Buffer.from(JSON.stringify(payload)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Reads a page token back, making sure it was made for the same sort. Anyone can edit a token, so its values have to be
+ * ones that toTokenValue makes, or they could put query operators (like { $ne: null }) into the range selector
+ *
+ * @returns {Object}  the token's direction and values
+ */
+exports.decodeToken = function(token, sortKeys) {
+	var payload;
+	try
+	{
+		payload = JSON.parse(Buffer.from(String(token).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+	}
+	catch (err)
+	{
+		payload = null;
+	}
+	if (!payload || !_.contains([ 'next', 'previous' ], payload.d) || !_.isArray(payload.v) || !_.isArray(payload.s) ||
+		payload.v.length !== payload.s.length || !_.every(payload.v, isTokenValue))
+	{
+		throw new Error('Invalid page token: ' + token);
+	}
+	if (!_.isEqual(payload.s, sortKeys))
+	{
+		throw new Error('The page token was made for a different sort');
+	}
+	return { direction: payload.d, values: _.map(payload.v, fromTokenValue) };
+};
+
+/**
+ * Selects the documents after the given boundary values, in the given sort order. e.g. for { a: 1, _id: 1 }, that's
+ * { $or: [ { a: { $gt: a } }, { a: a, _id: { $gt: _id } } ] }
+ * Documents that are missing a sort key (or have it as null) sort before every other value, but comparisons never match them,
+ * so null boundaries and descending keys need clauses of their own. see afterCondition
+ */
+function rangeSelector(sortKeys, values) {
+	return {
+		$or: _.compact(_.map(sortKeys, function(key, index) {
+			var condition = afterCondition(key[0], key[1], values[index]);
+			if (!condition)
+			{
+				return null;
+			}
+			var clause = {};
+			_.each(sortKeys.slice(0, index), function(earlierKey, earlierIndex) {
+				clause[earlierKey[0]] = values[earlierIndex]; //null matches the documents that are missing it, too
+			});
+			return _.extend(clause, condition);
+		}))
+	};
+}
+
+/**
+ * The selector for the values of a field that come after the given value in the given direction, or null if none do
+ */
+function afterCondition(field, direction, value) {
+	if (value === null)
+	{
+		return (direction > 0) ? _.object([ field ], [ { $ne: null } ]) : null;
+	}
+	if (direction > 0)
+	{
+		return _.object([ field ], [ { $gt: value } ]);
+	}
+	return { $or: [ _.object([ field ], [ { $lt: value } ]), _.object([ field ], [ null ]) ] };
+}
+
+/**
+ * Turns a sort spec into [ field, direction ] pairs, ending with _id
+ */
+function toSortKeys(sort) {
+	var sortKeys = _.map(_.isArray(sort) ? sort : _.pairs(sort || {}), function(key) {
+		var field = _.isArray(key) ? key[0] : key;
+		var direction = _.isArray(key) ? key[1] : 1;
+		return [ field, /^(-1|desc|descending)$/i.test(String(direction)) ? -1 : 1 ];
+	});
+	if (!_.find(sortKeys, function(key) { return key[0] === '_id'; }))
+	{
+		sortKeys.push([ '_id', sortKeys.length ? _.last(sortKeys)[1] : 1 ]);
+	}
+	return sortKeys;
+}
+
+function withSortFields(fields, sortKeys) {
+	var isExclusion = _.every(_.omit(fields, '_id'), function(value) { return !value; });
+	if (isExclusion)
+	{
+		return _.omit(fields, _.map(sortKeys, _.first));
+	}
+	return _.extend({}, fields, _.object(_.map(sortKeys, _.first), _.map(sortKeys, _.constant(1))));
+}
+
+function getValue(doc, path) {
+	return _.reduce(path.split('.'), function(value, key) {
+		return (value == null) ? undefined : value[key];
+	}, doc);
+}
+
+function toTokenValue(value) {
+	if (value && value._bsontype === 'ObjectID')
+	{
+		return { $oid: value.toHexString() };
+	}
+	if (_.isDate(value))
+	{
+		return { $date: value.getTime() };
+	}
+	return (value === undefined) ? null : value;
+}
+
+function isTokenValue(value) {
+	if (_.isPlainObject(value))
+	{
+		return (_.isEqual(_.keys(value), [ '$oid' ]) && /^[0-9a-f]{24}$/i.test(value.$oid)) ||
+			(_.isEqual(_.keys(value), [ '$date' ]) && _.isNumber(value.$date));
+	}
+	return value === null || _.isString(value) || _.isNumber(value) || _.isBoolean(value);
+}
+
+function fromTokenValue(value) {
+	if (_.isPlainObject(value) && _.isString(value.$oid))
+	{
+		return new ObjectId(value.$oid);
+	}
+	if (_.isPlainObject(value) && _.isNumber(value.$date))
+	{
+		return new Date(value.$date);
+	}
+	return value;
+}
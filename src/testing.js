@@ -0,0 +1,115 @@
+'use strict';
+
+var Promise = require('bluebird');
+var _ = require('lodash');
+var porqpine = require('./mongoWrapper');
+var connectionString = require('./connectionString');
+var fakeDb = require('./fakeDb');
+var fakeQuery = require('./fakeQuery');
+
+var fakeDbs = {}; //keyed by dbName
+var originalGetDb = null;
+
+/**
+ * Makes porqpine's getDb resolve with in-memory fake databases (see fakeDb.FakeDb) instead of connecting, so that the code under test
+ * can use porqpine as it normally would. The fake databases are told apart by their dbName alone, whatever cluster or config
+ * getDb is given, and they're kept until exports.reset (or exports.restore)
+ *
+ * @param   {Object}   opt_fixtures   (optional) documents to load right away. see exports.loadFixtures
+ */
+exports.install = function(opt_fixtures) {
+	if (!originalGetDb)
+	{
+		originalGetDb = porqpine.getDb;
+		porqpine.getDb = function(dbNameOrConfig, opt_dbName) {
+			return Promise.try(function() {
+				var dbName = getDbName(dbNameOrConfig, opt_dbName);
+				if (!_.isString(dbName) || !dbName.length)
+				{
+					throw new Error('Missing or invalid parameter provided to mongo.getDb()');
+				}
+				return exports.getFakeDb(dbName);
+			});
+		};
+	}
+	if (opt_fixtures)
+	{
+		exports.loadFixtures(opt_fixtures);
+	}
+};
+
+/**
+ * Puts porqpine's getDb back the way it was, and drops every fake database
+ */
+exports.restore = function() {
+	if (originalGetDb)
+	{
+		porqpine.getDb = originalGetDb;
+		originalGetDb = null;
+	}
+	exports.reset();
+};
+
+/**
+ * Drops every fake database, e.g. between tests
+ */
+exports.reset = function() {
+	fakeDbs = {};
+};
+
+/**
+ * Inserts documents into the fake databases, without going through the (wrapped) insert function
+ *
+ * @param   {Object}   fixtures   the documents, keyed by dbName, then by collection name, e.g. { shop: { orders: [ { ... } ] } }
+ */
+exports.loadFixtures = function(fixtures) {
+	_.each(fixtures, function(collections, dbName) {
+		var db = exports.getFakeDb(dbName);
+		_.each(collections, function(docs, collectionName) {
+			var collection = db.collection(collectionName);
+			collection._docs.push.apply(collection._docs, _.map(docs, function(doc) {
+				return fakeQuery.clone(doc);
+			}));
+		});
+	});
+};
+
+/**
+ * Gets the fake database with the given name, making it if there isn't one yet
+ *
+ * @returns {FakeDb}
+ */
+exports.getFakeDb = function(dbName) {
+	if (!fakeDbs[dbName])
+	{
+		fakeDbs[dbName] = new fakeDb.FakeDb(dbName);
+	}
+	return fakeDbs[dbName];
+};
+
+/**
+ * Gets a copy of the documents in a fake collection, e.g. to check what the code under test wrote
+ *
+ * @returns {Array}
+ */
+exports.getDocuments = function(dbName, collectionName) {
+	return _.map(exports.getFakeDb(dbName).collection(collectionName)._docs, fakeQuery.clone);
+};
+
+exports.FakeDb = fakeDb.FakeDb;
+
+function getDbName(dbNameOrConfig, opt_dbName) {
+	if (_.isString(opt_dbName))
+	{
+		return opt_dbName;
+	}
+	if (connectionString.isConnectionString(dbNameOrConfig))
+	{
+		return connectionString.parse(dbNameOrConfig).dbName;
+	}
+	if (_.isPlainObject(dbNameOrConfig))
+	{
+		return dbNameOrConfig.dbName || (dbNameOrConfig.uri && connectionString.parse(dbNameOrConfig.uri).dbName);
+	}
+	return dbNameOrConfig;
+}
@@ -0,0 +1,69 @@
+var mongo = require('mongodb');
+var cacheKey = require('../src/cacheKey');
+
+describe('cacheKey', function() {
+
+	describe('.build()', function() {
+		it('should build the same key for the same parts', function() {
+			expect(cacheKey.build([ 'db', 'coll', [ { $match: { a: 1 } } ] ]))
+				.to.equal(cacheKey.build([ 'db', 'coll', [ { $match: { a: 1 } } ] ]));
+		});
+
+		it('should build different keys when any part is different', function() {
+			var pipeline = [ { $match: { a: 1 } } ];
+			expect(cacheKey.build([ 'db', 'coll', pipeline ])).not.to.equal(cacheKey.build([ 'db', 'otherColl', pipeline ]));
+			expect(cacheKey.build([ 'db', 'coll', pipeline ])).not.to.equal(cacheKey.build([ 'otherDb', 'coll', pipeline ]));
+		});
+
+		it('should not depend on the order of the keys in a query, or of its operators', function() {
+			expect(cacheKey.build([ { a: 1, b: { $gt: 2, $lt: 3 } } ])).to.equal(cacheKey.build([ { b: { $lt: 3, $gt: 2 }, a: 1 } ]));
+			expect(cacheKey.build([ [ { $match: { a: 1, $or: [ { b: 1, c: 2 } ] } }, { $limit: 5 } ], { allowDiskUse: true, cursor: {} } ]))
+				.to.equal(cacheKey.build([ [ { $match: { $or: [ { c: 2, b: 1 } ], a: 1 } }, { $limit: 5 } ], { cursor: {}, allowDiskUse: true } ]));
+		});
+
+		it('should depend on the order of the keys in an embedded document', function() {
+			expect(cacheKey.build([ { a: { x: 1, y: 2 } } ])).not.to.equal(cacheKey.build([ { a: { y: 2, x: 1 } } ]));
+			expect(cacheKey.build([ { a: { $in: [ { x: 1, y: 2 } ] } } ])).not.to.equal(cacheKey.build([ { a: { $in: [ { y: 2, x: 1 } ] } } ]));
+			expect(cacheKey.build([ { a: { x: { $gt: 1 }, y: 2 } } ])).not.to.equal(cacheKey.build([ { a: { y: 2, x: { $gt: 1 } } } ]));
+		});
+
+		it('should depend on the order of the fields of $project and $group', function() {
+			expect(cacheKey.build([ [ { $project: { a: 1, b: 1 } } ] ])).not.to.equal(cacheKey.build([ [ { $project: { b: 1, a: 1 } } ] ]));
+			expect(cacheKey.build([ [ { $group: { _id: { x: '$x', y: '$y' }, n: { $sum: 1 } } } ] ]))
+				.not.to.equal(cacheKey.build([ [ { $group: { _id: { y: '$y', x: '$x' }, n: { $sum: 1 } } } ] ]));
+		});
+
+		it('should depend on the order of the keys in a sort spec', function() {
+			expect(cacheKey.build([ [ { $sort: { a: 1, b: -1 } } ] ])).not.to.equal(cacheKey.build([ [ { $sort: { b: -1, a: 1 } } ] ]));
+			expect(cacheKey.build([ {}, { sort: { a: 1, b: -1 } } ])).not.to.equal(cacheKey.build([ {}, { sort: { b: -1, a: 1 } } ]));
+		});
+
+		it('should depend on the order of an array', function() {
+			expect(cacheKey.build([ [ 1, 2 ] ])).not.to.equal(cacheKey.build([ [ 2, 1 ] ]));
+		});
+	});
+
+	describe('.canonicalize()', function() {
+		it('should tell RegExps apart', function() {
+			expect(cacheKey.canonicalize(/abc/i)).to.deep.equal({ $regex: 'abc', $options: 'i' });
+			expect(cacheKey.build([ { a: /abc/ } ])).not.to.equal(cacheKey.build([ { a: /xyz/ } ]));
+		});
+
+		it('should keep the exact time of Dates', function() {
+			var date = new Date(1400000000123);
+			expect(cacheKey.canonicalize(date)).to.deep.equal({ $date: 1400000000123 });
+		});
+
+		it('should keep the type and value of BSON types', function() {
+			var id = new mongo.ObjectID('53f4b4e0c5e4b6a4b1d2c3e4');
+			expect(cacheKey.canonicalize(id)).to.deep.equal({ $ObjectID: '53f4b4e0c5e4b6a4b1d2c3e4' });
+			expect(cacheKey.canonicalize(mongo.Long.fromNumber(5))).to.deep.equal({ $Long: '5' });
+			expect(cacheKey.build([ id ])).not.to.equal(cacheKey.build([ '53f4b4e0c5e4b6a4b1d2c3e4' ]));
+		});
+
+		it('should keep the source of functions', function() {
+			var map = function() { emit(this.a, 1); }; // jshint ignore:line
+			expect(cacheKey.canonicalize(map)).to.deep.equal({ $function: map.toString() });
+		});
+	});
+});
@@ -0,0 +1,100 @@
+var Promise = require('bluebird');
+var CachedCursor = require('../src/cachedCursor');
+
+describe('CachedCursor', function() {
+
+	var _loadChunk;
+	var _cursor;
+	beforeEach(function() {
+		_loadChunk = sinon.stub();
+		_loadChunk.withArgs(0).resolves([ { a: 1 }, { a: 2 } ]);
+		_loadChunk.withArgs(1).resolves([ { a: 3 } ]);
+		_cursor = new CachedCursor(2, _loadChunk);
+	});
+
+	it('should be promisified', function() {
+		expect(_cursor).to.have.deep.property('toArrayAsync.__isPromisified__', true);
+		expect(_cursor).to.have.deep.property('nextObjectAsync.__isPromisified__', true);
+	});
+
+	it('should return all the documents of all the chunks from .toArray()', function() {
+		return expect(_cursor.toArrayAsync()).to.eventually.deep.equal([ { a: 1 }, { a: 2 }, { a: 3 } ]);
+	});
+
+	it('should return each document from .nextObject(), and then null', function() {
+		var docs = [];
+		var collect = function(doc) {
+			docs.push(doc);
+			return _cursor.nextObjectAsync();
+		};
+		return _cursor.nextObjectAsync()
+			.then(collect)
+			.then(collect)
+			.then(collect)
+			.then(function(last) {
+				expect(docs).to.deep.equal([ { a: 1 }, { a: 2 }, { a: 3 } ]);
+				expect(last).to.be.null;
+			});
+	});
+
+	it('should only load a chunk once it is reached', function() {
+		return _cursor.nextObjectAsync()
+			.then(function() {
+				return _cursor.nextObjectAsync();
+			})
+			.then(function() {
+				expect(_loadChunk).to.have.been.calledOnce;
+				return _cursor.nextObjectAsync();
+			})
+			.then(function() {
+				expect(_loadChunk).to.have.been.calledTwice;
+			});
+	});
+
+	it('should call the .each() callback with each document, and then with null', function(done) {
+		var docs = [];
+		_cursor.each(function(err, doc) {
+			if (err || doc === null)
+			{
+				expect(docs).to.have.length(3);
+				return done(err);
+			}
+			docs.push(doc);
+		});
+	});
+
+	it('should pass along errors from loading a chunk', function() {
+		_loadChunk.withArgs(1).rejects(new Error('chunk is missing'));
+		return expect(_cursor.toArrayAsync()).to.be.rejectedWith('chunk is missing');
+	});
+
+	it('should start over after .rewind()', function() {
+		return _cursor.toArrayAsync()
+			.then(function() {
+				return _cursor.rewind().toArrayAsync();
+			})
+			.then(function(docs) {
+				expect(docs).to.have.length(3);
+			});
+	});
+
+	it('should not return any more documents once closed', function() {
+		_cursor.close();
+		expect(_cursor.isClosed()).to.be.true;
+		return expect(_cursor.nextObjectAsync()).to.be.rejected;
+	});
+
+	it('should have the iteration helpers, reading across chunks', function() {
+		var batches = [];
+		return _cursor.eachBatchAsync(2, function(batch) {
+			batches.push(batch);
+		})
+			.then(function() {
+				expect(batches).to.deep.equal([ [ { a: 1 }, { a: 2 } ], [ { a: 3 } ] ]);
+			});
+	});
+
+	it('should replay an array with .fromArray()', function() {
+		return expect(CachedCursor.fromArray([ 1, 2 ]).toArrayAsync()).to.eventually.deep.equal([ 1, 2 ]);
+	});
+});
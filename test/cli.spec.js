@@ -0,0 +1,73 @@
+var proxyquire = require('proxyquire');
+
+describe('cli', function() {
+
+	var cli;
+	var porqpine;
+	var io;
+
+	beforeEach(function() {
+		porqpine = {
+			configFromEnv: sinon.stub().returns({ hosts: [ { host: 'envHost' } ] }),
+			setConfig: sinon.stub(),
+			migrate: sinon.stub().resolves([]),
+			closeAll: sinon.stub().resolves()
+		};
+		cli = proxyquire('../src/cli', { './mongoWrapper': porqpine });
+		io = { log: sinon.stub(), error: sinon.stub(), env: { MONGO_HOSTS: 'envHost' } };
+	});
+
+	it('should run the migrations of the given db with the config from the environment', function() {
+		return cli.run([ 'migrate', 'up', '--db', 'shop', '--dir=db/migrations', '--to', '3', '--dry-run' ], io)
+			.then(function(exitCode) {
+				expect(exitCode).to.equal(0);
+				expect(porqpine.configFromEnv).to.have.been.calledWith(null, io.env);
+				expect(porqpine.setConfig).to.have.been.calledWith({ hosts: [ { host: 'envHost' } ] });
+				expect(porqpine.migrate).to.have.been.calledWith('up', sinon.match({ db: 'shop', dir: 'db/migrations', to: 3, dryRun: true, log: io.log }));
+				expect(porqpine.closeAll).to.have.been.calledOnce;
+				expect(io.log).to.have.been.calledWith('No migrations to run');
+			});
+	});
+
+	it('should connect with a connection string given as the db, without setting a config', function() {
+		return cli.run([ 'migrate', 'down', '--db', 'mongodb://otherHost/shop' ], io)
+			.then(function() {
+				expect(porqpine.setConfig).not.to.have.been.called;
+				expect(porqpine.migrate).to.have.been.calledWith('down', sinon.match({ db: 'mongodb://otherHost/shop' }));
+			});
+	});
+
+	it('should print the status of each migration', function() {
+		porqpine.migrate.resolves([
+			{ version: 1, name: '001-create-users.js', appliedAt: new Date('2015-01-02T03:04:05Z') },
+			{ version: 2, name: '002-backfill-roles.js', appliedAt: null }
+		]);
+		return cli.run([ 'migrate', 'status', '--db', 'shop' ], io)
+			.then(function() {
+				expect(io.log).to.have.been.calledWith('applied 2015-01-02T03:04:05.000Z  001-create-users.js');
+				expect(io.log).to.have.been.calledWith('pending  002-backfill-roles.js');
+			});
+	});
+
+	it('should print the error and exit with 1 if a migration fails', function() {
+		var err = new Error('bad data');
+		err.migration = '002-backfill-roles.js';
+		porqpine.migrate.rejects(err);
+		return cli.run([ 'migrate', '--db', 'shop' ], io)
+			.then(function(exitCode) {
+				expect(exitCode).to.equal(1);
+				expect(porqpine.migrate).to.have.been.calledWith('up');
+				expect(io.error).to.have.been.calledWith('porqpine: 002-backfill-roles.js failed: bad data');
+				expect(porqpine.closeAll).to.have.been.calledOnce;
+			});
+	});
+
+	it('should exit with 1 on bad arguments', function() {
+		return cli.run([ 'migrate', '--to', 'latest' ], io)
+			.then(function(exitCode) {
+				expect(exitCode).to.equal(1);
+				expect(io.error).to.have.been.calledWith('porqpine: --to must be a whole number');
+				expect(porqpine.migrate).not.to.have.been.called;
+			});
+	});
+});
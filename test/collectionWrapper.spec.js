@@ -4,12 +4,19 @@ var mongo = require('mongodb');
 var Cursor = mongo.Cursor;
 var Collection = mongo.Collection;
 var collectionWrapper = require('../src/collectionWrapper');
+var CachedCursor = require('../src/cachedCursor');
+var FakeDb = require('../src/fakeDb').FakeDb;
+var operationTracker = require('../src/operationTracker');
+var instrumentation = require('../src/instrumentation');
 
 function getDb() {
 	return { 
 		serverConfig: { _serverCapabilities: {} },
 		databaseName: 'db',
-		collection: getCollection
+		collection: getCollection,
+		collectionNames: function(name, callback) { callback(null, [ { name: name } ]); },
+		ensureIndex: function(collectionName, fieldOrSpec, options, callback) { callback(null, 'index'); },
+		dropCollection: function(name, callback) { callback(null, true); }
 	};
 }
 
@@ -33,6 +40,39 @@ describe('collectionWrapper', function() {
 		expect(Collection.prototype).to.have.deep.property('findAsync.__isPromisified__', true);
 	});
 
+	it('should track the operations started by the promisified functions until they settle', function() {
+		var collection = getCollection('orders');
+		sinon.stub(collection, 'count', function(selector, callback) {
+			setTimeout(function() { callback(null, 3); }, 5);
+		});
+		var promise = collection.countAsync({});
+		expect(_.pluck(operationTracker.getPending(), 'operation')).to.contain('count');
+		expect(_.pluck(operationTracker.getPending(), 'namespace')).to.contain('db.orders');
+		return promise
+			.then(function(count) {
+				expect(count).to.equal(3);
+				expect(operationTracker.getPending()).to.be.empty;
+			});
+	});
+
+	it('should report the calls of the promisified functions and cursors to the instrumentation hooks', function() {
+		var hook = sinon.stub();
+		var removeHook = instrumentation.addHook(hook);
+		var collection = getCollection('orders');
+		var cursor = getCursor();
+		sinon.stub(collection, 'count').yields(null, 3);
+		sinon.stub(collection, '_find').returns(cursor);
+		sinon.stub(cursor, 'toArray').yields(null, []);
+		return Promise.all([ collection.countAsync({ a: 1 }), collection.find({}).toArrayAsync() ])
+			.delay(1)
+			.finally(removeHook)
+			.then(function() {
+				expect(hook).to.have.been.calledWith(sinon.match({ db: 'db', collection: 'orders', method: 'count', args: [ { a: 1 } ] }));
+				expect(hook).to.have.been.calledWith(sinon.match({ db: 'db', collection: 'orders', method: 'cursor.toArray' }));
+				expect(hook.args[0][0].durationMS).to.be.a('number');
+			});
+	});
+
 	describe('wrapped .find() function', function() {
 		var _collection;
 		beforeEach(function() {
@@ -72,6 +112,39 @@ describe('collectionWrapper', function() {
 			_collection.find(query, options);
 			expect(_collection._find).to.have.been.calledWith(query, options);
 		});
+
+		it('should throw on a readConcern option, which the driver can\'t send', function() {
+			var query = { someProperty: 'someValue' };
+			expect(_collection.find.bind(_collection, query, { readConcern: { level: 'majority' } })).to.throw(/readConcern option is not supported/);
+			expect(_collection.find.bind(_collection, query, { b: 1 }, { limit: 1, readConcern: { level: 'majority' } })).to.throw(/readConcern option is not supported/);
+			expect(_collection._find).not.to.have.been.called;
+		});
+	});
+
+	describe('wrapped write functions', function() {
+		var _collection;
+		beforeEach(function() {
+			_collection = getCollection();
+			sinon.stub(_collection, '_update').yields(null, 1);
+			sinon.stub(_collection, '_insert').yields(null, []);
+		});
+
+		it('should spread a writeConcern option out into the options the driver takes', function() {
+			var selector = { a: 1 };
+			var doc = { $set: { b: 2 } };
+			return _collection.updateAsync(selector, doc, { upsert: true, w: 1, writeConcern: { w: 'majority', j: true } })
+				.then(function() {
+					expect(_collection._update).to.have.been.calledWith(selector, doc, { upsert: true, w: 'majority', j: true });
+				});
+		});
+
+		it('should leave options without a writeConcern alone', function() {
+			var options = { w: 1 };
+			return _collection.insertAsync({ a: 1 }, options)
+				.then(function() {
+					expect(_collection._insert.args[0][1]).to.equal(options);
+				});
+		});
 	});
 
 	describe('wrapped .aggregate() function', function() {
@@ -107,6 +180,25 @@ describe('collectionWrapper', function() {
 			expect(callback.args).to.have.deep.property('[0][1].toArrayAsync.__isPromisified__', true);
 		});
 
+		it('should promisify aggregation cursors, which have get() and next() instead of toArray() and nextObject()', function() {
+			var docs = [ { total: 1 }, { total: 2 } ];
+			_collection._aggregate.restore();
+			sinon.stub(_collection, '_aggregate').returns({
+				get: sinon.stub().yields(null, docs),
+				next: function(callback) {
+					callback(null, docs.shift() || null);
+				}
+			});
+			var resultCursor = _collection.aggregate([], { cursor: {} });
+			expect(resultCursor.toArrayAsync).to.have.property('__isPromisified__', true);
+			return resultCursor.mapAsync(function(doc) {
+				return doc.total;
+			})
+				.then(function(totals) {
+					expect(totals).to.deep.equal([ 1, 2 ]);
+				});
+		});
+
 		it('should pass all the given arguments on to the original aggregate function', function() {
 			var query = [ { $match: { things: 'stuff' } } ];
 			var options = { explain: true };
@@ -220,6 +312,604 @@ describe('collectionWrapper', function() {
 				})
 				.catch(done);
 		});
+		it('should re-run the query if the cached entry is older than the maxAge option', function(done) {
+			_cacheCollection.findOneAsync.restore();
+			var cachedAt = new Date(Date.now() - 120 * 1000);
+			sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedAt: cachedAt, cachedResult: 'stale' }));
+			_collection.cachedAggregateAsync({ maxAge: 60 }, {})
+				.then(function(res) {
+					expect(_collection.aggregateAsync).to.have.been.calledOnce;
+					expect(_cacheCollection.update).to.have.been.calledOnce;
+					expect(res).to.deep.equal(_result);
+					done();
+				})
+				.catch(done);
+		});
+
+		it('should return the cached result if the cached entry is within the maxAge option', function(done) {
+			_cacheCollection.findOneAsync.restore();
+			var cachedAt = new Date(Date.now() - 30 * 1000);
+			sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedAt: cachedAt, cachedResult: _result }));
+			_collection.cachedAggregateAsync({ maxAge: 60 }, {})
+				.then(function(res) {
+					expect(_collection.aggregateAsync).not.to.have.been.called;
+					expect(res).to.deep.equal(_result);
+					done();
+				})
+				.catch(done);
+		});
+
+		it('should store an expiresAt date with the cached result if the maxAge option is given', function(done) {
+			_collection.cachedAggregateAsync({ maxAge: 60 }, {})
+				.then(function() {
+					var cacheEntry = _cacheCollection.update.args[0][1];
+					expect(cacheEntry.expiresAt.getTime() - cacheEntry.cachedAt.getTime()).to.equal(60 * 1000);
+					done();
+				})
+				.catch(done);
+		});
+
+		it('should ensure a TTL index on the cache collection only once, if the ensureExpiryIndex option is given', function(done) {
+			sinon.stub(_cacheCollection, 'ensureIndexAsync', sinon.stub().resolves());
+			var cacheOptions = { cacheCollectionName: 'expiringCache', maxAge: 60, ensureExpiryIndex: true };
+			_collection.cachedAggregateAsync(cacheOptions, {})
+				.then(function() {
+					return _collection.cachedAggregateAsync(cacheOptions, {});
+				})
+				.then(function() {
+					expect(_cacheCollection.ensureIndexAsync.withArgs({ expiresAt: 1 })).to.have.been.calledOnce;
+					expect(_cacheCollection.ensureIndexAsync).to.have.been.calledWith({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+					_cacheCollection.ensureIndexAsync.restore();
+					done();
+				})
+				.catch(done);
+		});
+
+		it('should index the cache collection on tags, which writes invalidate entries by, when saving an entry', function() {
+			var ensureIndexAsync = sinon.stub(_cacheCollection, 'ensureIndexAsync').resolves();
+			return _collection.cachedAggregateAsync('taggedCache', {})
+				.finally(function() {
+					ensureIndexAsync.restore();
+				})
+				.then(function() {
+					expect(ensureIndexAsync).to.have.been.calledWith({ tags: 1 });
+					expect(_cacheCollection.update).to.have.been.calledAfter(ensureIndexAsync);
+				});
+		});
+
+		it('should tag the cached entry with its source collection and any given tags', function(done) {
+			_collection.cachedAggregateAsync({ tags: [ 'orders' ] }, {})
+				.then(function() {
+					var cacheEntry = _cacheCollection.update.args[0][1];
+					expect(cacheEntry.sourceCollection).to.equal('test');
+					expect(cacheEntry.tags).to.deep.equal([ 'test', 'orders' ]);
+					done();
+				})
+				.catch(done);
+		});
+		it('should only run the query once for concurrent identical calls on a cold cache', function() {
+			_collection.aggregateAsync.restore();
+			sinon.stub(_collection, 'aggregateAsync').returns(Promise.delay(_result, 10));
+			return Promise.all([ _collection.cachedAggregateAsync('test', {}), _collection.cachedAggregateAsync('test', {}) ])
+				.then(function(results) {
+					expect(_collection.aggregateAsync).to.have.been.calledOnce;
+					expect(_cacheCollection.update).to.have.been.calledOnce;
+					expect(results).to.deep.equal([ _result, _result ]);
+				});
+		});
+
+		it('should pass the error to every concurrent caller if the coalesced query fails', function() {
+			var error = new Error('query failed');
+			_collection.aggregateAsync.restore();
+			sinon.stub(_collection, 'aggregateAsync').returns(Promise.delay(10).throw(error));
+			var first = _collection.cachedAggregateAsync('test', {});
+			var second = _collection.cachedAggregateAsync('test', {});
+			return Promise.settle([ first, second ])
+				.then(function(inspections) {
+					expect(_collection.aggregateAsync).to.have.been.calledOnce;
+					expect(inspections[0].reason()).to.have.property('message', 'query failed');
+					expect(inspections[1].reason()).to.have.property('message', 'query failed');
+				});
+		});
+
+		it('should run the query again for calls made after the coalesced query has finished', function() {
+			return _collection.cachedAggregateAsync('test', {})
+				.then(function() {
+					return _collection.cachedAggregateAsync('test', {});
+				})
+				.then(function() {
+					expect(_collection.aggregateAsync).to.have.been.calledTwice;
+				});
+		});
+
+		it('should use different cache keys for the same pipeline on different collections or dbs', function() {
+			var otherDb = getDb();
+			otherDb.databaseName = 'otherDb';
+			otherDb.collection = _db.collection;
+			var otherCollection = getCollection('other', _db);
+			var otherDbCollection = getCollection('test', otherDb);
+			sinon.stub(otherCollection, 'aggregateAsync', sinon.stub().resolves(_result));
+			sinon.stub(otherDbCollection, 'aggregateAsync', sinon.stub().resolves(_result));
+			var pipeline = [ { $match: { a: 1 } } ];
+			return Promise.all([
+					_collection.cachedAggregateAsync('testCache', pipeline),
+					otherCollection.cachedAggregateAsync('testCache', pipeline),
+					otherDbCollection.cachedAggregateAsync('testCache', pipeline)
+				])
+				.then(function() {
+					var hashes = _.pluck(_.pluck(_cacheCollection.findOneAsync.args, 0), 'queryHash');
+					expect(_.uniq(hashes)).to.have.length(3);
+				});
+		});
+
+		it('should use the same cache key regardless of the readPreference option', function() {
+			var pipeline = [ { $match: { a: 1 } } ];
+			return _collection.cachedAggregateAsync('testCache', pipeline, { allowDiskUse: true })
+				.then(function() {
+					return _collection.cachedAggregateAsync('testCache', pipeline, { allowDiskUse: true, readPreference: 'secondary' });
+				})
+				.then(function() {
+					var hashes = _.pluck(_.pluck(_cacheCollection.findOneAsync.args, 0), 'queryHash');
+					expect(_.uniq(hashes)).to.have.length(1);
+					expect(_collection.aggregateAsync.args[1][1]).to.have.property('readPreference', 'secondary');
+				});
+		});
+
+		it('should reject a readConcern option before looking for a cached result', function() {
+			return expect(_collection.cachedAggregateAsync('testCache', [ { $match: { a: 1 } } ], { readConcern: { level: 'majority' } }))
+				.to.be.rejectedWith('The readConcern option is not supported by the 1.4 driver')
+				.then(function() {
+					expect(_cacheCollection.findOneAsync).not.to.have.been.called;
+				});
+		});
+
+		it('should use different cache keys for different cacheKeyVersions', function() {
+			return _collection.cachedAggregateAsync({ cacheKeyVersion: '1' }, {})
+				.then(function() {
+					return _collection.cachedAggregateAsync({ cacheKeyVersion: '2' }, {});
+				})
+				.then(function() {
+					var hashes = _.pluck(_.pluck(_cacheCollection.findOneAsync.args, 0), 'queryHash');
+					expect(hashes[0]).not.to.equal(hashes[1]);
+				});
+		});
+
+		it('should use the defaults from .setCacheDefaults(), unless overridden', function() {
+			collectionWrapper.setCacheDefaults({ cacheCollectionName: 'defaultCache', cacheKeyVersion: '2' });
+			return _collection.cachedAggregateAsync({}, {})
+				.then(function() {
+					return _collection.cachedAggregateAsync({ cacheKeyVersion: '2' }, {});
+				})
+				.then(function() {
+					return _collection.cachedAggregateAsync('overriddenCache', {});
+				})
+				.then(function() {
+					var hashes = _.pluck(_.pluck(_cacheCollection.findOneAsync.args, 0), 'queryHash');
+					expect(_db.collection.args[0][0]).to.equal('defaultCache');
+					expect(hashes[0]).to.equal(hashes[1]);
+					expect(_db.collection.args[2][0]).to.equal('overriddenCache');
+				})
+				.finally(function() {
+					collectionWrapper.setCacheDefaults(null);
+				});
+		});
+
+		it('should report each cached query to the instrumentation hooks, along with how it used the cache', function() {
+			var hook = sinon.stub();
+			var removeHook = instrumentation.addHook(hook);
+			var pipeline = [ { $match: { a: 1 } } ];
+			return _collection.cachedAggregateAsync('testCache', pipeline)
+				.then(function() {
+					_cacheCollection.findOneAsync.resolves({ cachedResult: _result });
+					return _collection.cachedAggregateAsync('testCache', pipeline);
+				})
+				.delay(1)
+				.finally(removeHook)
+				.then(function() {
+					var cachedCalls = _.filter(_.pluck(hook.args, 0), { method: 'cachedAggregate' });
+					expect(_.pluck(cachedCalls, 'cache')).to.deep.equal([ 'miss', 'hit' ]);
+					expect(cachedCalls[0]).to.have.property('collection', 'test');
+					expect(cachedCalls[0].args).to.deep.equal([ pipeline ]);
+				});
+		});
+
+		it('should count cache hits, misses and refreshes', function() {
+			collectionWrapper.resetCacheStats();
+			return _collection.cachedAggregateAsync('testCache', {})
+				.then(function() {
+					_cacheCollection.findOneAsync.restore();
+					sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedResult: _result }));
+					return _collection.cachedAggregateAsync('testCache', {});
+				})
+				.then(function() {
+					return _collection.cachedAggregateAsync({ cacheCollectionName: 'testCache', forceUpdateCache: true }, {});
+				})
+				.then(function() {
+					var stats = collectionWrapper.getCacheStats();
+					expect(stats).to.have.property('hits', 1);
+					expect(stats).to.have.property('misses', 1);
+					expect(stats).to.have.property('refreshes', 1);
+					expect(stats.byCollection['db.test']).to.deep.equal({ hits: 1, memoryHits: 0, staleHits: 0, misses: 1, refreshes: 1 });
+				});
+		});
+
+		it('should store the size of the cached result', function() {
+			return _collection.cachedAggregateAsync('testCache', {})
+				.then(function() {
+					expect(_cacheCollection.update.args[0][1].resultSize).to.be.above(0);
+				});
+		});
+
+		describe('with the staleWhileRevalidate option', function() {
+			var _staleEntry;
+			beforeEach(function() {
+				_staleEntry = { cachedAt: new Date(Date.now() - 120 * 1000), cachedResult: 'stale' };
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves(_staleEntry));
+			});
+
+			it('should return the stale entry right away and refresh it in the background', function() {
+				return _collection.cachedAggregateAsync({ maxAge: 60, staleWhileRevalidate: true }, {})
+					.then(function(res) {
+						expect(res).to.equal('stale');
+						return Promise.delay(5);
+					})
+					.then(function() {
+						expect(_collection.aggregateAsync).to.have.been.calledOnce;
+						expect(_cacheCollection.update).to.have.been.calledOnce;
+						expect(_cacheCollection.update.args[0][1].cachedResult).to.deep.equal(_result);
+					});
+			});
+
+			it('should only run one background refresh for concurrent stale hits', function() {
+				var options = { maxAge: 60, staleWhileRevalidate: true };
+				return Promise.all([ _collection.cachedAggregateAsync(options, {}), _collection.cachedAggregateAsync(options, {}) ])
+					.delay(5)
+					.then(function() {
+						expect(_collection.aggregateAsync).to.have.been.calledOnce;
+					});
+			});
+
+			it('should re-run the query in the foreground if the entry is more than staleWhileRevalidate seconds past its maxAge', function() {
+				return _collection.cachedAggregateAsync({ maxAge: 60, staleWhileRevalidate: 30 }, {})
+					.then(function(res) {
+						expect(res).to.deep.equal(_result);
+						expect(_collection.aggregateAsync).to.have.been.calledOnce;
+					});
+			});
+
+			it('should pass background refresh errors to the onRefreshError option', function() {
+				var err = new Error('refresh failed');
+				var onRefreshError = sinon.spy();
+				_collection.aggregateAsync.restore();
+				sinon.stub(_collection, 'aggregateAsync').rejects(err);
+				return _collection.cachedAggregateAsync({ maxAge: 60, staleWhileRevalidate: true, onRefreshError: onRefreshError }, {})
+					.then(function(res) {
+						expect(res).to.equal('stale');
+						return Promise.delay(5);
+					})
+					.then(function() {
+						expect(onRefreshError).to.have.been.calledOnce;
+						expect(onRefreshError.args[0][0].message).to.equal('refresh failed');
+						expect(onRefreshError.args[0][1]).to.have.property('sourceCollection', 'test');
+						expect(onRefreshError.args[0][1]).to.have.property('queryType', 'aggregate');
+					});
+			});
+
+			it('should keep the entry around for the staleWhileRevalidate period after it expires', function() {
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves(null));
+				return _collection.cachedAggregateAsync({ maxAge: 60, staleWhileRevalidate: 30 }, {})
+					.then(function() {
+						var cacheEntry = _cacheCollection.update.args[0][1];
+						expect(cacheEntry.expiresAt.getTime() - cacheEntry.cachedAt.getTime()).to.equal(90 * 1000);
+					});
+			});
+
+			it('should count stale hits and background refreshes', function() {
+				collectionWrapper.resetCacheStats();
+				return _collection.cachedAggregateAsync({ maxAge: 60, staleWhileRevalidate: true }, {})
+					.delay(5)
+					.then(function() {
+						var stats = collectionWrapper.getCacheStats();
+						expect(stats).to.have.property('staleHits', 1);
+						expect(stats).to.have.property('refreshes', 1);
+						expect(stats).to.have.property('misses', 0);
+					});
+			});
+		});
+
+		describe('with the memory cache turned on', function() {
+			beforeEach(function() {
+				collectionWrapper.setMemoryCacheOptions({ maxEntries: 10 });
+			});
+
+			afterEach(function() {
+				collectionWrapper.setMemoryCacheOptions(null);
+			});
+
+			it('should serve repeated queries from memory without touching the cache collection', function() {
+				return _collection.cachedAggregateAsync('memoryCache', {})
+					.then(function() {
+						return _collection.cachedAggregateAsync('memoryCache', {});
+					})
+					.then(function(res) {
+						expect(_cacheCollection.findOneAsync).to.have.been.calledOnce;
+						expect(_collection.aggregateAsync).to.have.been.calledOnce;
+						expect(res).to.deep.equal(_result);
+					});
+			});
+
+			it('should keep cache collection hits in memory', function() {
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedAt: new Date(), cachedResult: _result }));
+				return _collection.cachedAggregateAsync('memoryCache', {})
+					.then(function() {
+						return _collection.cachedAggregateAsync('memoryCache', {});
+					})
+					.then(function(res) {
+						expect(_cacheCollection.findOneAsync).to.have.been.calledOnce;
+						expect(res).to.deep.equal(_result);
+					});
+			});
+
+			it('should not use an entry from memory that is older than the maxAge option', function() {
+				return _collection.cachedAggregateAsync('memoryCache', {})
+					.then(function() {
+						return _collection.cachedAggregateAsync({ cacheCollectionName: 'memoryCache', maxAge: -1 }, {});
+					})
+					.then(function() {
+						expect(_cacheCollection.findOneAsync).to.have.been.calledTwice;
+						expect(_collection.aggregateAsync).to.have.been.calledTwice;
+					});
+			});
+
+			it('should bypass memory if the forceUpdateCache option is given, then hold the new result', function() {
+				var forcedOptions = { cacheCollectionName: 'memoryCache', forceUpdateCache: true };
+				return _collection.cachedAggregateAsync('memoryCache', {})
+					.then(function() {
+						return _collection.cachedAggregateAsync(forcedOptions, {});
+					})
+					.then(function() {
+						return _collection.cachedAggregateAsync('memoryCache', {});
+					})
+					.then(function() {
+						expect(_collection.aggregateAsync).to.have.been.calledTwice;
+						expect(_cacheCollection.findOneAsync).to.have.been.calledTwice;
+					});
+			});
+
+			it('should bypass memory if the memoryCache option is false', function() {
+				var cacheOptions = { cacheCollectionName: 'memoryCache', memoryCache: false };
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedAt: new Date(), cachedResult: _result }));
+				return _collection.cachedAggregateAsync(cacheOptions, {})
+					.then(function() {
+						return _collection.cachedAggregateAsync(cacheOptions, {});
+					})
+					.then(function() {
+						expect(_cacheCollection.findOneAsync).to.have.been.calledTwice;
+					});
+			});
+
+			it('should count the hits served from memory', function() {
+				collectionWrapper.resetCacheStats();
+				return _collection.cachedAggregateAsync('memoryCache', {})
+					.then(function() {
+						return _collection.cachedAggregateAsync('memoryCache', {});
+					})
+					.then(function() {
+						expect(collectionWrapper.getCacheStats()).to.have.property('memoryHits', 1);
+					});
+			});
+
+			it('should evict invalidated entries from memory', function() {
+				sinon.stub(_cacheCollection, '_remove').yields(null, 1);
+				sinon.stub(_cacheCollection, 'find').returns({ toArrayAsync: sinon.stub().resolves([]) });
+				return _collection.cachedAggregateAsync('memoryCache', {})
+					.then(function() {
+						return collectionWrapper.invalidateCacheTags(_db, 'test', 'memoryCache');
+					})
+					.then(function() {
+						return _collection.cachedAggregateAsync('memoryCache', {});
+					})
+					.then(function() {
+						expect(_collection.aggregateAsync).to.have.been.calledTwice;
+						_cacheCollection._remove.restore();
+						_cacheCollection.find.restore();
+					});
+			});
+		});
+
+		describe('with the cursor option', function() {
+			var _docs;
+			var _aggregationCursor;
+			beforeEach(function() {
+				_docs = [ { a: 1 }, { a: 2 } ];
+				_aggregationCursor = { get: sinon.stub().yields(null, _docs) };
+				sinon.stub(_collection, 'aggregate').returns(_aggregationCursor);
+			});
+
+			afterEach(function() {
+				_collection.aggregate.restore();
+			});
+
+			it('should drain the aggregation cursor and cache its documents on cache misses', function() {
+				var pipeline = [ { $match: { a: 1 } } ];
+				var options = { cursor: { batchSize: 10 } };
+				return _collection.cachedAggregateAsync('testCache', pipeline, options)
+					.then(function(cursor) {
+						expect(cursor).to.be.an.instanceOf(CachedCursor);
+						expect(_collection.aggregate).to.have.been.calledWith(pipeline, { cursor: { batchSize: 10 } });
+						expect(_collection.aggregate.args[0][1].cursor).not.to.equal(options.cursor);
+						expect(_cacheCollection.update.args[0][1].cachedResult).to.deep.equal(_docs);
+						return expect(cursor.toArrayAsync()).to.eventually.deep.equal(_docs);
+					});
+			});
+
+			it('should accept cursor: true', function() {
+				return _collection.cachedAggregateAsync('testCache', [], { cursor: true })
+					.then(function() {
+						expect(_collection.aggregate).to.have.been.calledWith([], { cursor: {} });
+					});
+			});
+
+			it('should replay the cached documents through a cursor on cache hits', function() {
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedResult: _docs }));
+				return _collection.cachedAggregateAsync('testCache', [], { cursor: {} })
+					.then(function(cursor) {
+						expect(_collection.aggregate).not.to.have.been.called;
+						return expect(cursor.toArrayAsync()).to.eventually.deep.equal(_docs);
+					});
+			});
+		});
+
+		describe('with results too big for a single cache document', function() {
+			var _docs;
+			beforeEach(function() {
+				_docs = [ { text: 'aaaaaaaaaa' }, { text: 'bbbbbbbbbb' }, { text: 'cccccccccc' } ];
+				_collection.aggregateAsync.restore();
+				sinon.stub(_collection, 'aggregateAsync', sinon.stub().resolves(_docs));
+				sinon.stub(_cacheCollection, 'insertAsync').resolves();
+				sinon.stub(_cacheCollection, 'removeAsync').resolves();
+				sinon.stub(_cacheCollection, 'ensureIndexAsync').resolves();
+				sinon.stub(_cacheCollection, 'countAsync').resolves(2);
+			});
+
+			afterEach(function() {
+				_cacheCollection.insertAsync.restore();
+				_cacheCollection.removeAsync.restore();
+				_cacheCollection.ensureIndexAsync.restore();
+				_cacheCollection.countAsync.restore();
+			});
+
+			it('should save the result in chunks, then the entry pointing to them, then remove any stale chunks', function() {
+				return _collection.cachedAggregateAsync({ cacheCollectionName: 'chunkedCache', chunkSize: 80 }, [])
+					.then(function(res) {
+						var cacheEntry = _cacheCollection.update.args[0][1];
+						var chunkDocs = _.pluck(_cacheCollection.insertAsync.args, 0);
+						expect(res).to.deep.equal(_docs);
+						expect(cacheEntry).not.to.have.property('cachedResult');
+						expect(cacheEntry.chunks.count).to.equal(2);
+						expect(chunkDocs).to.have.length(2);
+						expect(_.pluck(chunkDocs, 'chunkSet')).to.deep.equal([ cacheEntry.chunks.set, cacheEntry.chunks.set ]);
+						expect(_.flatten(_.pluck(chunkDocs, 'cachedResult'), true)).to.deep.equal(_docs);
+						expect(chunkDocs[0].tags).to.deep.equal(cacheEntry.tags);
+						expect(chunkDocs[0]).not.to.have.property('queryHash');
+						expect(_cacheCollection.insertAsync).to.have.been.calledBefore(_cacheCollection.update);
+						expect(_cacheCollection.removeAsync).to.have.been.calledWith({ chunkOf: cacheEntry.queryHash, chunkSet: { $ne: cacheEntry.chunks.set } });
+					});
+			});
+
+			it('should put the chunks back together on cache hits', function() {
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync').resolves({ chunks: { set: 'abc', count: 2 } });
+				_cacheCollection.findOneAsync.withArgs({ chunkSet: 'abc', chunkIndex: 0 }).resolves({ cachedResult: _docs.slice(0, 2) });
+				_cacheCollection.findOneAsync.withArgs({ chunkSet: 'abc', chunkIndex: 1 }).resolves({ cachedResult: _docs.slice(2) });
+				return _collection.cachedAggregateAsync('chunkedCache', [])
+					.then(function(res) {
+						expect(_collection.aggregateAsync).not.to.have.been.called;
+						expect(res).to.deep.equal(_docs);
+					});
+			});
+
+			it('should treat an entry with missing chunks as a cache miss', function() {
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync').resolves({ chunks: { set: 'abc', count: 3 } });
+				return _collection.cachedAggregateAsync('chunkedCache', [])
+					.then(function(res) {
+						expect(_collection.aggregateAsync).to.have.been.calledOnce;
+						expect(_cacheCollection.removeAsync).to.have.been.calledWith(sinon.match.has('chunkSet', { $ne: null }));
+						expect(res).to.deep.equal(_docs);
+					});
+			});
+		});
+
+		describe('with results too big for a single cache document, and the memory cache turned on', function() {
+			var orders;
+			beforeEach(function() {
+				collectionWrapper.setMemoryCacheOptions({});
+				orders = new FakeDb('shop').collection('orders');
+				return orders.insertAsync(_.times(50, function(i) { return { n: i, text: 'some padding to spread these over chunks' }; }));
+			});
+
+			afterEach(function() {
+				collectionWrapper.setMemoryCacheOptions(null);
+			});
+
+			it('should read the chunks on every hit, rather than keep the entry in memory without them', function() {
+				var cacheOptions = { cacheCollectionName: 'queryCache', chunkSize: 500 };
+				var pipeline = [ { $sort: { n: 1 } } ];
+				return orders.cachedAggregateAsync(cacheOptions, pipeline) //a miss
+					.then(function(res) {
+						expect(res).to.have.length(50);
+						expect(orders.db.collection('queryCache')._docs.length).to.be.above(2);
+						return orders.cachedAggregateAsync(cacheOptions, pipeline); //a hit from the cache collection
+					})
+					.then(function(res) {
+						expect(res).to.have.length(50);
+						return orders.cachedAggregateAsync(cacheOptions, pipeline); //would've been a memory hit
+					})
+					.then(function(res) {
+						expect(_.pluck(res, 'n')).to.deep.equal(_.range(50));
+					});
+			});
+		});
+
+		describe('with the distributedLock option', function() {
+			var _cacheOptions;
+			beforeEach(function() {
+				_cacheOptions = { cacheCollectionName: 'lockedCache', distributedLock: true, lockPollInterval: 1 };
+				sinon.stub(_cacheCollection, 'insertAsync').resolves();
+				sinon.stub(_cacheCollection, 'removeAsync').resolves();
+			});
+
+			afterEach(function() {
+				_cacheCollection.insertAsync.restore();
+				_cacheCollection.removeAsync.restore();
+			});
+
+			it('should take the lock, run the query, and then release the lock', function() {
+				return _collection.cachedAggregateAsync(_cacheOptions, {})
+					.then(function(res) {
+						var lock = _cacheCollection.insertAsync.args[0][0];
+						expect(lock._id).to.match(/^lock:/);
+						expect(_collection.aggregateAsync).to.have.been.calledOnce;
+						expect(_cacheCollection.removeAsync).to.have.been.calledWith({ _id: lock._id });
+						expect(res).to.deep.equal(_result);
+					});
+			});
+
+			it('should wait for the cached result if another process holds the lock', function() {
+				_cacheCollection.insertAsync.rejects({ code: 11000 });
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync').resolves(null)
+					.onSecondCall().resolves({ cachedAt: new Date(), cachedResult: 'fromOtherProcess' });
+				return _collection.cachedAggregateAsync(_cacheOptions, {})
+					.then(function(res) {
+						expect(_collection.aggregateAsync).not.to.have.been.called;
+						expect(_cacheCollection.findOneAsync).to.have.been.calledTwice;
+						expect(res).to.equal('fromOtherProcess');
+					});
+			});
+
+			it('should clear out an expired lock and try to take it again', function() {
+				_cacheCollection.insertAsync.onFirstCall().rejects({ code: 11000 });
+				return _collection.cachedAggregateAsync(_cacheOptions, {})
+					.then(function(res) {
+						expect(_cacheCollection.removeAsync.args[0][0]).to.have.deep.property('expiresAt.$lt');
+						expect(_cacheCollection.insertAsync).to.have.been.calledTwice;
+						expect(_collection.aggregateAsync).to.have.been.calledOnce;
+						expect(res).to.deep.equal(_result);
+					});
+			});
+
+			it('should fail if the lock can\'t be written for any other reason', function() {
+				_cacheCollection.insertAsync.rejects(new Error('not authorized'));
+				return expect(_collection.cachedAggregateAsync(_cacheOptions, {})).to.be.rejectedWith('not authorized');
+			});
+		});
 	});
 
 	describe('augmented with .cachedMapReduce() function', function() {
@@ -358,5 +1048,550 @@ describe('collectionWrapper', function() {
 				})
 				.catch(done);
 		});
+
+		it('should re-run the query if the cached entry is older than the maxAge option', function(done) {
+			_cacheCollection.findOneAsync.restore();
+			var cachedAt = new Date(Date.now() - 120 * 1000);
+			sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedAt: cachedAt, cachedResult: 'staleCollection' }));
+			_collection.cachedMapReduceAsync({ cacheCollectionName: 'testCache', maxAge: 60 }, {})
+				.then(function(res) {
+					expect(_collection.mapReduceAsync).to.have.been.calledOnce;
+					expect(res).to.deep.equal(_resultCollection);
+					done();
+				})
+				.catch(done);
+		});
+
+		it('should re-run the query if the cached output collection no longer exists', function() {
+			_cacheCollection.findOneAsync.restore();
+			sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedResult: 'droppedCollection' }));
+			_db.collectionNames = sinon.stub().yields(null, []);
+			return _collection.cachedMapReduceAsync('testCache', null, null, { out: 'wordCounts' })
+				.then(function(res) {
+					expect(_db.collectionNames).to.have.been.calledWith('droppedCollection');
+					expect(_collection.mapReduceAsync).to.have.been.calledOnce;
+					expect(res).to.deep.equal(_resultCollection);
+				});
+		});
+
+		describe('with the memory cache turned on', function() {
+			beforeEach(function() {
+				collectionWrapper.setMemoryCacheOptions({});
+				_db.collectionNames = sinon.stub().yields(null, [ { name: 'resultingWordCache' } ]);
+			});
+
+			afterEach(function() {
+				collectionWrapper.setMemoryCacheOptions(null);
+			});
+
+			it('should trust the output collection of an entry held in memory, without checking it\'s still there', function() {
+				_cacheCollection.findOneAsync.restore();
+				sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedAt: new Date(), cachedResult: 'resultingWordCache' }));
+				return _collection.cachedMapReduceAsync('testCache', null, null, { out: 'wordCounts' })
+					.then(function() {
+						return _collection.cachedMapReduceAsync('testCache', null, null, { out: 'wordCounts' });
+					})
+					.then(function(res) {
+						expect(res).to.equal(_resultCollection);
+						expect(_cacheCollection.findOneAsync).to.have.been.calledOnce;
+						expect(_db.collectionNames).to.have.been.calledOnce;
+						expect(_collection.mapReduceAsync).not.to.have.been.called;
+					});
+			});
+
+			it('should evict an entry from memory once its output collection is dropped, even by invalidating another entry', function() {
+				var options = { cacheCollectionName: 'testCache', uniqueOutputCollection: true };
+				_db.dropCollection = sinon.stub().yields(null, true);
+				sinon.stub(_cacheCollection, '_remove').yields(null, 1);
+				sinon.stub(_cacheCollection, 'find').returns({ toArrayAsync: sinon.stub().resolves([ { outputCollection: 'resultingWordCache', outputDb: 'db' } ]) });
+				return _collection.cachedMapReduceAsync(options, null, null, { out: 'wordCounts' })
+					.then(function() {
+						return collectionWrapper.invalidateCacheTags(_db, 'reports', 'testCache'); //which the entry in memory isn't tagged with
+					})
+					.then(function() {
+						return _collection.cachedMapReduceAsync(options, null, null, { out: 'wordCounts' });
+					})
+					.then(function() {
+						expect(_db.dropCollection).to.have.been.calledWith('resultingWordCache');
+						expect(_collection.mapReduceAsync).to.have.been.calledTwice;
+					})
+					.finally(function() {
+						_cacheCollection._remove.restore();
+						_cacheCollection.find.restore();
+					});
+			});
+		});
+
+		it('should output to a uniquely-named collection, and keep track of it, if the uniqueOutputCollection option is given', function() {
+			return _collection.cachedMapReduceAsync({ cacheCollectionName: 'testCache', uniqueOutputCollection: true }, null, null, { out: 'wordCounts' })
+				.then(function() {
+					expect(_collection.mapReduceAsync.args[0][2].out).to.match(/^wordCounts_[0-9a-f]{12}$/);
+					var cacheEntry = _cacheCollection.update.args[0][1];
+					expect(cacheEntry).to.have.property('outputCollection', 'resultingWordCache');
+					expect(cacheEntry).to.have.property('outputDb', 'db');
+				});
+		});
+
+		it('should keep the other settings of a replace out option when making it unique', function() {
+			return _collection.cachedMapReduceAsync({ cacheCollectionName: 'testCache', uniqueOutputCollection: true }, null, null, { out: { replace: 'wordCounts', sharded: true } })
+				.then(function() {
+					var out = _collection.mapReduceAsync.args[0][2].out;
+					expect(out.replace).to.match(/^wordCounts_[0-9a-f]{12}$/);
+					expect(out.sharded).to.be.true;
+				});
+		});
+
+		it('should use the same cache entry for every run with the uniqueOutputCollection option', function() {
+			var options = { cacheCollectionName: 'testCache', uniqueOutputCollection: true };
+			return _collection.cachedMapReduceAsync(options, null, null, { out: 'wordCounts' })
+				.then(function() {
+					return _collection.cachedMapReduceAsync(_.extend({ forceUpdateCache: true }, options), null, null, { out: 'wordCounts' });
+				})
+				.then(function() {
+					expect(_cacheCollection.update.args[0][0]).to.deep.equal(_cacheCollection.update.args[1][0]);
+				});
+		});
+
+		it('should drop the output collection of the entry it replaces, if it had one of its own', function() {
+			_cacheCollection.findOneAsync.restore();
+			sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({
+				cachedAt: new Date(Date.now() - 120 * 1000),
+				cachedResult: 'wordCounts_0123456789ab',
+				outputCollection: 'wordCounts_0123456789ab',
+				outputDb: 'db'
+			}));
+			_db.dropCollection = sinon.stub().yields(null, true);
+			return _collection.cachedMapReduceAsync({ cacheCollectionName: 'testCache', maxAge: 60, uniqueOutputCollection: true }, null, null, { out: 'wordCounts' })
+				.then(function() {
+					expect(_db.dropCollection).to.have.been.calledOnce;
+					expect(_db.dropCollection).to.have.been.calledWith('wordCounts_0123456789ab');
+					expect(_db.dropCollection).to.have.been.calledAfter(_cacheCollection.update);
+				});
+		});
+	});
+
+	describe('augmented with .cachedFind(), .cachedCount() and .cachedDistinct() functions', function() {
+		var _docs;
+		var _collection;
+		var _cacheCollection;
+		var _db;
+		beforeEach(function() {
+			_cacheCollection = getCollection();
+			_db = getDb();
+			_db.collection = sinon.stub().returns(_cacheCollection);
+			_collection = getCollection('test', _db);
+			_docs = [ { a: 1 }, { a: 2 } ];
+			sinon.stub(_collection, 'find').returns({ toArrayAsync: sinon.stub().resolves(_docs) });
+			sinon.stub(_collection, 'countAsync', sinon.stub().resolves(2));
+			sinon.stub(_collection, 'distinctAsync', sinon.stub().resolves([ 1, 2 ]));
+			sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves(null));
+			sinon.stub(_cacheCollection, 'update', sinon.stub().callsArg(3));
+		});
+
+		afterEach(function() {
+			_collection.find.restore();
+			_collection.countAsync.restore();
+			_collection.distinctAsync.restore();
+			_cacheCollection.findOneAsync.restore();
+			_cacheCollection.update.restore();
+		});
+
+		it('should also be promisified', function() {
+			expect(_collection).to.have.deep.property('cachedFindAsync.__isPromisified__', true);
+			expect(_collection).to.have.deep.property('cachedCountAsync.__isPromisified__', true);
+			expect(_collection).to.have.deep.property('cachedDistinctAsync.__isPromisified__', true);
+		});
+
+		it('should run the find with all the given arguments and cache the array of documents on cache misses', function() {
+			var selector = { a: { $gt: 0 } };
+			var options = { sort: { a: -1 }, skip: 10, limit: 5, fields: { a: 1 } };
+			return _collection.cachedFindAsync('testCache', selector, options)
+				.then(function(res) {
+					expect(_collection.find).to.have.been.calledWith(selector, options);
+					expect(_cacheCollection.update).to.have.been.calledOnce;
+					expect(_cacheCollection.update.args[0][1].cachedResult).to.deep.equal(_docs);
+					expect(res).to.deep.equal(_docs);
+				});
+		});
+
+		it('should return the cached array of documents on cache hits', function() {
+			_cacheCollection.findOneAsync.restore();
+			sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedResult: _docs }));
+			return _collection.cachedFindAsync('testCache', {})
+				.then(function(res) {
+					expect(_collection.find).not.to.have.been.called;
+					expect(res).to.deep.equal(_docs);
+				});
+		});
+
+		it('should use different cache keys for finds with different cursor modifiers', function() {
+			return _collection.cachedFindAsync('testCache', {}, { sort: { a: 1 }, limit: 5 })
+				.then(function() {
+					return _collection.cachedFindAsync('testCache', {}, { sort: { a: -1 }, limit: 5 });
+				})
+				.then(function() {
+					return _collection.cachedFindAsync('testCache', {}, { sort: { a: -1 }, limit: 5 });
+				})
+				.then(function() {
+					var hashes = _.pluck(_.pluck(_cacheCollection.findOneAsync.args, 0), 'queryHash');
+					expect(hashes[0]).not.to.equal(hashes[1]);
+					expect(hashes[1]).to.equal(hashes[2]);
+				});
+		});
+
+		it('should run the count and cache the result on cache misses', function() {
+			var query = { a: { $gt: 0 } };
+			return _collection.cachedCountAsync({ cacheCollectionName: 'testCache' }, query)
+				.then(function(res) {
+					expect(_collection.countAsync).to.have.been.calledWith(query);
+					expect(_cacheCollection.update.args[0][1].cachedResult).to.equal(2);
+					expect(res).to.equal(2);
+				});
+		});
+
+		it('should run the distinct and cache the result on cache misses', function() {
+			var query = { a: { $gt: 0 } };
+			return _collection.cachedDistinctAsync('testCache', 'a', query)
+				.then(function(res) {
+					expect(_collection.distinctAsync).to.have.been.calledWith('a', query);
+					expect(_cacheCollection.update.args[0][1].cachedResult).to.deep.equal([ 1, 2 ]);
+					expect(res).to.deep.equal([ 1, 2 ]);
+				});
+		});
+
+		it('should not share cache keys between different types of queries with the same arguments', function() {
+			var query = { a: 1 };
+			return Promise.all([ _collection.cachedFindAsync('testCache', query), _collection.cachedCountAsync('testCache', query) ])
+				.then(function() {
+					var hashes = _.pluck(_.pluck(_cacheCollection.findOneAsync.args, 0), 'queryHash');
+					expect(hashes[0]).not.to.equal(hashes[1]);
+					expect(_.pluck(_.pluck(_cacheCollection.update.args, 1), 'queryType')).to.have.members([ 'find', 'count' ]);
+				});
+		});
+	});
+
+	describe('with dbs of the same name on different clusters', function() {
+		var primaryOrders;
+		var analyticsOrders;
+		beforeEach(function() {
+			primaryOrders = new FakeDb('app').collection('orders');
+			analyticsOrders = new FakeDb('app').collection('orders');
+			return Promise.all([ primaryOrders.insertAsync([ { a: 1 }, { a: 2 } ]), analyticsOrders.insertAsync([ { a: 1 } ]) ]);
+		});
+
+		afterEach(function() {
+			collectionWrapper.setMemoryCacheOptions(null);
+		});
+
+		it('should not share in-flight queries', function() {
+			return Promise.all([ primaryOrders.cachedCountAsync('queryCache', {}), analyticsOrders.cachedCountAsync('queryCache', {}) ])
+				.then(function(counts) {
+					expect(counts).to.deep.equal([ 2, 1 ]);
+				});
+		});
+
+		it('should not share memory cache entries', function() {
+			collectionWrapper.setMemoryCacheOptions({});
+			return primaryOrders.cachedCountAsync('queryCache', {})
+				.then(function() {
+					return analyticsOrders.cachedCountAsync('queryCache', {});
+				})
+				.then(function(count) {
+					expect(count).to.equal(1);
+				});
+		});
+	});
+
+	describe('cache invalidation', function() {
+		var _collection;
+		var _cacheCollection;
+		var _db;
+		beforeEach(function() {
+			_db = getDb();
+			_db.databaseName = 'invalidationDb';
+			_cacheCollection = getCollection('queryCache', _db);
+			_db.collection = sinon.stub().returns(_cacheCollection);
+			_collection = getCollection('orders', _db);
+			sinon.stub(_cacheCollection, 'findOneAsync', sinon.stub().resolves({ cachedResult: 'result' }));
+			sinon.stub(_cacheCollection, '_remove').yields(null, 1);
+			sinon.stub(_cacheCollection, 'find').returns({ toArrayAsync: sinon.stub().resolves([]) });
+			sinon.stub(_collection, '_insert').yields(null, [ { a: 1 } ]);
+			sinon.stub(_collection, '_findAndModify').yields(null, { a: 1 });
+			return _collection.cachedAggregateAsync('queryCache', {}); //so the cache collection is known
+		});
+
+		afterEach(function() {
+			_cacheCollection.findOneAsync.restore();
+			_cacheCollection._remove.restore();
+			_cacheCollection.find.restore();
+			_collection._insert.restore();
+			_collection._findAndModify.restore();
+		});
+
+		it('should remove cached entries tagged with the collection name when writing to it', function() {
+			return _collection.insertAsync({ a: 1 })
+				.then(function(res) {
+					expect(res).to.deep.equal([ { a: 1 } ]);
+					expect(_cacheCollection._remove).to.have.been.calledOnce;
+					expect(_cacheCollection._remove).to.have.been.calledWith({ tags: { $in: [ 'orders' ] } });
+				});
+		});
+
+		it('should finish the invalidation before calling the callback', function(done) {
+			_collection.findAndModify({ a: 1 }, [], { $set: { a: 2 } }, {}, function(err, doc) {
+				expect(_cacheCollection._remove).to.have.been.calledOnce;
+				expect(doc).to.deep.equal({ a: 1 });
+				done(err);
+			});
+		});
+
+		it('should still call the callback if the invalidation fails', function() {
+			_cacheCollection._remove.yields(new Error('invalidation failed'));
+			return expect(_collection.insertAsync({ a: 1 })).to.eventually.deep.equal([ { a: 1 } ]);
+		});
+
+		it('should not invalidate anything when writing to the cache collection itself', function() {
+			sinon.stub(_cacheCollection, '_insert').yields(null, []);
+			return _cacheCollection.insertAsync({ a: 1 })
+				.then(function() {
+					expect(_cacheCollection._remove).not.to.have.been.called;
+					_cacheCollection._insert.restore();
+				});
+		});
+
+		it('should not invalidate anything for a db this process hasn\'t made cached queries on', function() {
+			var otherDb = getDb();
+			otherDb.databaseName = 'uncachedDb';
+			otherDb.collection = sinon.stub().returns(_cacheCollection);
+			var otherCollection = getCollection('orders', otherDb);
+			sinon.stub(otherCollection, '_insert').yields(null, []);
+			return otherCollection.insertAsync({ a: 1 })
+				.then(function() {
+					expect(otherDb.collection).not.to.have.been.called;
+					expect(_cacheCollection._remove).not.to.have.been.called;
+				});
+		});
+
+		it('should leave a write that\'s given no callback alone', function() {
+			_collection._insert.restore();
+			sinon.stub(_collection, '_insert');
+			_collection.insert({ a: 1 }, { w: 1 });
+			expect(_collection._insert).to.have.been.calledWithExactly({ a: 1 }, { w: 1 });
+			return Promise.delay(5)
+				.then(function() {
+					expect(_cacheCollection._remove).not.to.have.been.called;
+				});
+		});
+
+		it('should not invalidate anything after an unacknowledged write, which calls back before it\'s applied', function() {
+			return Promise.join(_collection.insertAsync({ a: 1 }, { w: 0 }), _collection.insertAsync({ a: 2 }, { writeConcern: { w: 0 } }))
+				.then(function() {
+					expect(_collection._insert).to.have.been.calledTwice;
+					expect(_cacheCollection._remove).not.to.have.been.called;
+				});
+		});
+
+		describe('.purgeCache()', function() {
+			it('should remove the entries (and chunks) computed from the given collection', function() {
+				return collectionWrapper.purgeCache(_db, { collection: 'orders' }, 'queryCache')
+					.then(function() {
+						expect(_cacheCollection._remove).to.have.been.calledWith({ sourceCollection: 'orders' });
+					});
+			});
+
+			it('should drop the output collections that belonged to the removed entries', function() {
+				_cacheCollection.find.returns({ toArrayAsync: sinon.stub().resolves([ { outputCollection: 'wordCounts_0123456789ab', outputDb: 'invalidationDb' } ]) });
+				_db.dropCollection = sinon.stub().yields(null, true);
+				return collectionWrapper.purgeCache(_db, { collection: 'orders' }, 'queryCache')
+					.then(function() {
+						expect(_cacheCollection.find).to.have.been.calledWith({ outputCollection: { $exists: true }, sourceCollection: 'orders' });
+						expect(_db.dropCollection).to.have.been.calledWith('wordCounts_0123456789ab');
+						expect(_db.dropCollection).to.have.been.calledAfter(_cacheCollection._remove);
+					});
+			});
+
+			it('should remove the entries older than the given number of seconds', function() {
+				var before = Date.now();
+				return collectionWrapper.purgeCache(_db, { olderThan: 60 }, 'queryCache')
+					.then(function() {
+						var cutoff = _cacheCollection._remove.args[0][0].cachedAt.$lt.getTime();
+						expect(cutoff).to.be.within(before - 60 * 1000, Date.now() - 60 * 1000);
+					});
+			});
+
+			it('should remove everything if no criteria are given', function() {
+				return collectionWrapper.purgeCache(_db)
+					.then(function() {
+						expect(_cacheCollection._remove).to.have.been.calledWith({});
+					});
+			});
+		});
+
+		describe('.listCacheEntries()', function() {
+			var _cachedAt;
+			beforeEach(function() {
+				_cachedAt = new Date(Date.now() - 10 * 1000);
+				var cursor = { toArrayAsync: sinon.stub().resolves([ {
+					queryHash: 'abc',
+					queryType: 'aggregate',
+					sourceCollection: 'orders',
+					tags: [ 'orders' ],
+					cachedAt: _cachedAt,
+					resultSize: 1234,
+					chunks: { set: 'xyz', count: 2 }
+				} ]) };
+				cursor.sort = sinon.stub().returns(cursor);
+				_cacheCollection.find.returns(cursor);
+			});
+
+			it('should list the matching entries, without their results, chunks or locks', function() {
+				return collectionWrapper.listCacheEntries(_db, { tags: 'orders' }, 'queryCache')
+					.then(function() {
+						expect(_cacheCollection.find).to.have.been.calledWith(
+							{ tags: { $in: [ 'orders' ] }, queryHash: { $exists: true } },
+							{ cachedResult: 0 }
+						);
+					});
+			});
+
+			it('should describe each entry\'s source collection, size and age', function() {
+				return collectionWrapper.listCacheEntries(_db, {}, 'queryCache')
+					.then(function(entries) {
+						expect(entries).to.have.length(1);
+						expect(entries[0]).to.have.property('cacheCollection', 'queryCache');
+						expect(entries[0]).to.have.property('sourceCollection', 'orders');
+						expect(entries[0]).to.have.property('size', 1234);
+						expect(entries[0]).to.have.property('chunks', 2);
+						expect(entries[0].age).to.be.within(10, 11);
+					});
+			});
+		});
+
+		describe('.invalidateCacheTags()', function() {
+			it('should remove cached entries with any of the given tags', function() {
+				return collectionWrapper.invalidateCacheTags(_db, [ 'orders', 'users' ], 'queryCache')
+					.then(function() {
+						expect(_db.collection).to.have.been.calledWith('queryCache');
+						expect(_cacheCollection._remove).to.have.been.calledWith({ tags: { $in: [ 'orders', 'users' ] } });
+					});
+			});
+
+			it('should invalidate the default and all known cache collections if none is given', function() {
+				_db.collection.reset();
+				return _collection.cachedAggregateAsync('reportCache', {})
+					.then(function() {
+						_db.collection.reset();
+						return collectionWrapper.invalidateCacheTags(_db, 'orders');
+					})
+					.then(function() {
+						expect(_db.collection).to.have.been.calledTwice;
+						expect(_db.collection).to.have.been.calledWith('queryCache');
+						expect(_db.collection).to.have.been.calledWith('reportCache');
+					});
+			});
+		});
+	});
+
+	describe('in promise mode', function() {
+		var wrapper;
+		var FakeCollection;
+		var _collection;
+		var _cursor;
+		var _findOne;
+
+		// promise mode can't be turned off, so it's tried out on fresh copies of the modules, with a collection class of its own
+		beforeEach(function() {
+			var freshProxyquire = require('proxyquire').noPreserveCache();
+			wrapper = freshProxyquire('../src/collectionWrapper', { './cachedCursor': freshProxyquire('../src/cachedCursor', {}) });
+			_cursor = {
+				toArray: sinon.stub().yields(null, [ { a: 1 } ]),
+				count: sinon.stub().yields(null, 1),
+				each: sinon.stub()
+			};
+			FakeCollection = function(db, collectionName) {
+				this.db = db;
+				this.collectionName = collectionName;
+			};
+			_findOne = sinon.stub().yields(null, { a: 1 });
+			FakeCollection.prototype.findOne = function() {
+				return _findOne.apply(this, arguments);
+			};
+			FakeCollection.prototype.update = sinon.stub().yields(null, 1, { n: 1 });
+			FakeCollection.prototype.find = sinon.stub().returns(_cursor);
+			FakeCollection.prototype.aggregate = function(pipeline, options, callback) {
+				if (_.isFunction(callback))
+				{
+					return callback(null, [ { total: 1 } ]);
+				}
+				return _cursor;
+			};
+			wrapper.wrap(FakeCollection, { promises: true });
+			_collection = new FakeCollection(getDb(), 'orders');
+		});
+
+		it('should return a promise when no callback is given', function() {
+			var promise = _collection.findOne({ a: 1 });
+			expect(promise).to.be.an.instanceof(global.Promise);
+			return expect(promise).to.eventually.deep.equal({ a: 1 });
+		});
+
+		it('should apply to collection classes that are wrapped after it\'s turned on', function() {
+			var OtherCollection = function() {};
+			OtherCollection.prototype.count = sinon.stub().yields(null, 3);
+			wrapper.wrap(OtherCollection);
+			return expect(new OtherCollection().count({})).to.eventually.equal(3);
+		});
+
+		it('should resolve with an array when the callback is given more than one result', function() {
+			return expect(_collection.update({}, { $set: { a: 2 } }, {})).to.eventually.deep.equal([ 1, { n: 1 } ]);
+		});
+
+		it('should reject with the error the callback is given', function() {
+			_findOne.yields(new Error('not master'));
+			return expect(_collection.findOne({})).to.be.rejectedWith('not master');
+		});
+
+		it('should still call a callback that is given, and keep the Async functions', function() {
+			var callback = sinon.stub();
+			expect(_collection.findOne({ a: 1 }, callback)).to.be.undefined;
+			expect(callback).to.have.been.calledWith(null, { a: 1 });
+			return expect(_collection.findOneAsync({ a: 1 })).to.eventually.deep.equal({ a: 1 });
+		});
+
+		it('should give the cursors from find and aggregate promise-returning functions', function() {
+			var cursor = _collection.find({});
+			expect(cursor).to.equal(_cursor);
+			expect(_collection.aggregate([], { cursor: {} })).to.equal(_cursor);
+			return Promise.all([ cursor.toArray(), cursor.count() ])
+				.spread(function(docs, count) {
+					expect(docs).to.deep.equal([ { a: 1 } ]);
+					expect(count).to.equal(1);
+				});
+		});
+
+		it('should return a promise from aggregate when it isn\'t asked for a cursor', function() {
+			return expect(_collection.aggregate([], {})).to.eventually.deep.equal([ { total: 1 } ]);
+		});
+
+		it('should return a promise from the cached query functions', function() {
+			var _cacheCollection = getCollection('queryCache');
+			sinon.stub(_cacheCollection, 'findOneAsync').resolves({ queryHash: 'abc', cachedResult: [ { total: 2 } ] });
+			_collection.db.collection = sinon.stub().returns(_cacheCollection);
+			return expect(_collection.cachedAggregate('queryCache', [])).to.eventually.deep.equal([ { total: 2 } ]);
+		});
+
+		it('should use the given Promise constructor', function() {
+			wrapper.wrap(FakeCollection, { promises: true, Promise: Promise });
+			expect(_collection.findOne({})).to.be.an.instanceof(Promise);
+		});
+
+		it('should track the operations until they settle', function() {
+			_findOne = function(selector, callback) {
+				setTimeout(function() { callback(null, {}); }, 5);
+			};
+			var promise = _collection.findOne({});
+			expect(_.pluck(operationTracker.getPending(), 'namespace')).to.contain('db.orders');
+			return promise;
+		});
 	});
-});
\ No newline at end of file
+});
@@ -0,0 +1,64 @@
+var connectionString = require('../src/connectionString');
+
+describe('connectionString', function() {
+
+	describe('.build()', function() {
+		it('should URI-encode the user and password', function() {
+			expect(connectionString.build({ user: 'me@work', pass: 'p:ss@/word', hosts: [ { host: 'h' } ], dbName: 'db' }))
+				.to.equal('mongodb://me%40work:p%3Ass%40%2Fword@h/db');
+		});
+
+		it('should add the auth, ssl, readPreference and w options, in that order', function() {
+			expect(connectionString.build({
+				hosts: [ { host: 'h', port: 1 } ],
+				dbName: 'db',
+				w: 'majority',
+				ssl: true,
+				authSource: 'admin',
+				authMechanism: 'SCRAM-SHA-1',
+				readPreference: 'secondaryPreferred',
+				replicaSet: 'rs0'
+			})).to.equal('mongodb://h:1/db?replicaSet=rs0&authSource=admin&authMechanism=SCRAM-SHA-1&ssl=true&readPreference=secondaryPreferred&w=majority');
+		});
+
+		it('should add any extra uriOptions after the others, encoded', function() {
+			expect(connectionString.build({ hosts: [ { host: 'h' } ], dbName: 'db', replicaSet: 'rs0', uriOptions: { wtimeoutMS: 500, appTag: 'a&b' } }))
+				.to.equal('mongodb://h/db?replicaSet=rs0&wtimeoutMS=500&appTag=a%26b');
+		});
+	});
+
+	describe('.parse()', function() {
+		it('should parse the credentials, hosts, dbName and options', function() {
+			expect(connectionString.parse('mongodb://me%40work:p%3Ass@h1:27017,h2/app?replicaSet=rs0&ssl=true&w=2&authSource=admin&wtimeoutMS=500'))
+				.to.deep.equal({
+					user: 'me@work',
+					pass: 'p:ss',
+					hosts: [ { host: 'h1', port: 27017 }, { host: 'h2' } ],
+					dbName: 'app',
+					replicaSet: 'rs0',
+					ssl: true,
+					w: 2,
+					authSource: 'admin',
+					uriOptions: { wtimeoutMS: '500' }
+				});
+		});
+
+		it('should leave out whatever the connection string doesn\'t have', function() {
+			expect(connectionString.parse('mongodb://h1')).to.deep.equal({ hosts: [ { host: 'h1' } ] });
+			expect(connectionString.parse('mongodb://h1/?w=majority')).to.deep.equal({ hosts: [ { host: 'h1' } ], w: 'majority' });
+		});
+
+		it('should handle an unencoded @ in the password', function() {
+			expect(connectionString.parse('mongodb://me:p@ss@h1/app')).to.have.property('pass', 'p@ss');
+		});
+
+		it('should round-trip with .build()', function() {
+			var conf = { user: 'u', pass: 'p@ss', hosts: [ { host: 'h1', port: 1 }, { host: 'h2', port: 2 } ], dbName: 'app', ssl: true, w: 'majority' };
+			expect(connectionString.parse(connectionString.build(conf))).to.deep.equal(conf);
+		});
+
+		it('should throw on anything that isn\'t a mongodb:// connection string', function() {
+			expect(connectionString.parse.bind(null, 'http://h1/app')).to.throw(/Invalid mongodb connection string/);
+		});
+	});
+});
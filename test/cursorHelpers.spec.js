@@ -0,0 +1,152 @@
+var Promise = require('bluebird');
+var _ = require('lodash');
+var cursorHelpers = require('../src/cursorHelpers');
+
+describe('cursorHelpers', function() {
+
+	var docs;
+	var cursor;
+
+	// an aggregation-like cursor, with next() rather than nextObject(), that counts how far it's been read
+	var makeCursor = function(items) {
+		var position = 0;
+		return cursorHelpers.addTo({
+			read: 0,
+			next: sinon.spy(function(callback) {
+				this.read = Math.min(position + 1, items.length);
+				var item = (position < items.length) ? items[position++] : null;
+				setImmediate(function() {
+					callback(null, item);
+				});
+			}),
+			close: sinon.spy(function(callback) {
+				callback(null);
+			})
+		});
+	};
+
+	beforeEach(function() {
+		docs = _.map(_.range(10), function(i) { return { i: i }; });
+		cursor = makeCursor(docs);
+	});
+
+	describe('.eachAsync()', function() {
+		it('should call the function with each document in turn, waiting on the promises it returns', function() {
+			var seen = [];
+			return cursor.eachAsync(function(doc) {
+				return Promise.delay(1).then(function() {
+					seen.push(doc.i);
+				});
+			})
+				.then(function(count) {
+					expect(count).to.equal(10);
+					expect(seen).to.deep.equal(_.range(10));
+				});
+		});
+
+		it('should only run as many calls at once as the concurrency allows', function() {
+			var running = 0;
+			var maxRunning = 0;
+			return cursor.eachAsync(function() {
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+				return Promise.delay(2).then(function() {
+					running--;
+				});
+			}, { concurrency: 3 })
+				.then(function(count) {
+					expect(count).to.equal(10);
+					expect(maxRunning).to.equal(3);
+				});
+		});
+
+		it('should stop reading and close the cursor once the function fails', function() {
+			return expect(cursor.eachAsync(function(doc) {
+				if (doc.i === 2)
+				{
+					throw new Error('bad doc');
+				}
+			})).to.be.rejectedWith('bad doc')
+				.then(function() {
+					expect(cursor.read).to.equal(3);
+					expect(cursor.close).to.have.been.calledOnce;
+				});
+		});
+	});
+
+	describe('.eachBatchAsync()', function() {
+		it('should call the function with batches of documents, one batch at a time', function() {
+			var batches = [];
+			return cursor.eachBatchAsync(4, function(batch) {
+				batches.push(_.pluck(batch, 'i'));
+				return Promise.delay(1);
+			})
+				.then(function(count) {
+					expect(count).to.equal(10);
+					expect(batches).to.deep.equal([ [ 0, 1, 2, 3 ], [ 4, 5, 6, 7 ], [ 8, 9 ] ]);
+				});
+		});
+
+		it('should be rejected for a batch size below 1', function() {
+			return expect(cursor.eachBatchAsync(0, _.noop)).to.be.rejectedWith('The batch size must be at least 1');
+		});
+	});
+
+	describe('.mapAsync()', function() {
+		it('should resolve with what the function gives for each document, in the cursor\'s order', function() {
+			return cursor.mapAsync(function(doc) {
+				return Promise.delay(10 - doc.i).return(doc.i * 2);
+			}, { concurrency: 5 })
+				.then(function(results) {
+					expect(results).to.deep.equal(_.map(_.range(10), function(i) { return i * 2; }));
+				});
+		});
+	});
+
+	describe('.toStream()', function() {
+		it('should stream every document', function(done) {
+			var streamed = [];
+			cursor.toStream()
+				.on('data', function(doc) {
+					streamed.push(doc.i);
+				})
+				.on('end', function() {
+					expect(streamed).to.deep.equal(_.range(10));
+					done();
+				})
+				.on('error', done);
+		});
+
+		it('should only read ahead as far as its highWaterMark while it isn\'t consumed', function() {
+			var stream = cursor.toStream({ highWaterMark: 2 });
+			stream.read(0); //starts filling its buffer, without consuming anything
+			return Promise.delay(20)
+				.then(function() {
+					expect(cursor.read).to.be.within(2, 3);
+					stream.on('data', _.noop);
+					return new Promise(function(resolve) {
+						stream.on('end', resolve);
+					});
+				})
+				.then(function() {
+					expect(cursor.read).to.equal(10);
+				});
+		});
+
+		it('should close the cursor if it\'s destroyed early', function() {
+			var stream = cursor.toStream({ highWaterMark: 1 });
+			stream.destroy();
+			expect(cursor.close).to.have.been.calledOnce;
+		});
+
+		it('should emit the errors of the cursor', function(done) {
+			cursor.next = function(callback) {
+				callback(new Error('cursor killed'));
+			};
+			cursor.toStream().on('data', _.noop).on('error', function(err) {
+				expect(err.message).to.equal('cursor killed');
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,116 @@
+var dbConfig = require('../src/dbConfig');
+
+describe('dbConfig', function() {
+
+	describe('.validate()', function() {
+		it('should find no problems with a valid config', function() {
+			expect(dbConfig.validate({
+				hosts: [ { host: 'h1', port: 27017 }, 'h2:27018', 'h3' ],
+				user: 'u',
+				pass: 'p',
+				replicaSet: 'rs0',
+				ssl: true,
+				readPreference: 'secondaryPreferred',
+				w: 'majority',
+				writeConcern: { w: 2, wtimeout: 5000, j: true },
+				uriOptions: { wtimeoutMS: 500 },
+				retry: { maxAttempts: 3, initialDelay: 100 }
+			})).to.be.empty;
+		});
+
+		it('should list every problem', function() {
+			expect(dbConfig.validate({
+				host: 'h1',
+				hosts: [ { port: 27017 }, { host: 'h2', port: 'x', name: 'second' }, 'h3:x' ],
+				ssl: 'yes',
+				readPreference: 'secondaries',
+				retry: { maxAttempt: 3 }
+			}, { strict: true })).to.deep.equal([
+				'unknown key host (did you mean hosts?)',
+				'hosts[0] is missing its host',
+				'unknown key hosts[1].name',
+				'hosts[1].port must be a positive integer',
+				'hosts[2] must look like \'host\' or \'host:port\'',
+				'ssl must be true or false',
+				'readPreference must be one of primary, primaryPreferred, secondary, secondaryPreferred, nearest',
+				'unknown key retry.maxAttempt (did you mean retry.maxAttempts?)'
+			]);
+		});
+
+		it('should check that the options sections are objects', function() {
+			expect(dbConfig.validate({ hosts: [ 'h1' ], options: { poolSize: 5, server: { poolSize: 10 } } })).to.be.empty;
+			expect(dbConfig.validate({ hosts: [ 'h1' ], options: { replSet: 'rs0' } })).to.deep.equal([ 'options.replSet must be an object' ]);
+		});
+
+		it('should not suggest a key when none is close', function() {
+			expect(dbConfig.validate({ hosts: [ 'h1' ], timeoutSeconds: 5 }, { strict: true })).to.deep.equal([ 'unknown key timeoutSeconds' ]);
+		});
+
+		it('should only report unknown keys when checking strictly, or if the config is strict', function() {
+			expect(dbConfig.validate({ hosts: [ { host: 'h1', name: 'first' } ], timeoutSeconds: 5, ssl: 'yes' })).to.deep.equal([ 'ssl must be true or false' ]);
+			expect(dbConfig.validate({ hosts: [ 'h1' ], timeoutSeconds: 5, strict: true })).to.deep.equal([ 'unknown key timeoutSeconds' ]);
+			expect(dbConfig.validate({ hosts: [ 'h1' ], timeoutSeconds: 5, strict: true }, { strict: false })).to.be.empty;
+		});
+
+		it('should report a readConcern, which the 1.4 driver can\'t send', function() {
+			expect(dbConfig.validate({ hosts: [ 'h1' ], readConcern: { level: 'majority' } }))
+				.to.deep.equal([ 'readConcern is not supported by the 1.4 driver, which can\'t send a read concern to the server' ]);
+		});
+
+		it('should accept a password without a user, which is ignored', function() {
+			expect(dbConfig.validate({ hosts: [ 'h1' ], pass: 'p' })).to.be.empty;
+		});
+
+		it('should require the hosts or a uri, even when not checking strictly, unless the config is partial', function() {
+			expect(dbConfig.validate({ host: 'h1' })).to.deep.equal([ 'hosts (or a uri) must be given' ]);
+			expect(dbConfig.validate({ uri: 'mongodb://h1/app' })).to.be.empty;
+			expect(dbConfig.validate({ dbName: 'app', readPreference: 'nearest' }, { partial: true })).to.be.empty;
+		});
+
+		it('should complain about anything that isn\'t an object', function() {
+			expect(dbConfig.validate('config')).to.deep.equal([ 'the config must be an object' ]);
+		});
+	});
+
+	describe('.fromEnv()', function() {
+		it('should build a config from the MONGO_ environment variables', function() {
+			expect(dbConfig.fromEnv(null, {
+				MONGO_HOSTS: 'h1:27017, h2:27018',
+				MONGO_USER: 'u',
+				MONGO_PASS: 'p@ss',
+				MONGO_REPLICA_SET: 'rs0',
+				MONGO_SSL: 'true',
+				MONGO_W: '2',
+				MONGO_URI_OPTIONS: 'wtimeoutMS=500&maxPoolSize=10',
+				MONGO_CONNECT_TIMEOUT_MS: '3000',
+				MONGO_RETRY_MAX_ATTEMPTS: '5',
+				OTHER_VAR: 'ignored'
+			})).to.deep.equal({
+				hosts: [ 'h1:27017', 'h2:27018' ],
+				user: 'u',
+				pass: 'p@ss',
+				replicaSet: 'rs0',
+				ssl: true,
+				w: 2,
+				uriOptions: { wtimeoutMS: '500', maxPoolSize: '10' },
+				connectTimeoutMS: 3000,
+				retry: { maxAttempts: 5 }
+			});
+		});
+
+		it('should parse MONGO_OPTIONS as JSON', function() {
+			expect(dbConfig.fromEnv(null, { MONGO_OPTIONS: '{ "poolSize": 10, "server": { "auto_reconnect": false } }' }))
+				.to.deep.equal({ options: { poolSize: 10, server: { auto_reconnect: false } } });
+			expect(dbConfig.fromEnv.bind(null, null, { MONGO_OPTIONS: '{ poolSize: 10 }' })).to.throw('MONGO_OPTIONS must be valid JSON');
+		});
+
+		it('should use the given prefix', function() {
+			expect(dbConfig.fromEnv('ANALYTICS_MONGO_', { ANALYTICS_MONGO_URI: 'mongodb://h1/app', MONGO_URI: 'mongodb://h2/app' }))
+				.to.deep.equal({ uri: 'mongodb://h1/app' });
+		});
+
+		it('should throw if none of the variables are set', function() {
+			expect(dbConfig.fromEnv.bind(null, 'MONGO_', {})).to.throw('None of the MONGO_* environment variables');
+		});
+	});
+});
@@ -0,0 +1,191 @@
+var Promise = require('bluebird');
+var _ = require('lodash');
+var ObjectId = require('mongodb').ObjectID;
+var FakeDb = require('../src/fakeDb').FakeDb;
+
+describe('FakeDb', function() {
+
+	var db;
+	var orders;
+
+	beforeEach(function() {
+		db = new FakeDb('shop');
+		orders = db.collection('orders');
+		return orders.insertAsync([
+			{ _id: 1, customer: 'ann', status: 'open', total: 30, items: [ { sku: 'a', qty: 1 }, { sku: 'b', qty: 2 } ], tags: [ 'gift' ] },
+			{ _id: 2, customer: 'bob', status: 'shipped', total: 120, items: [ { sku: 'a', qty: 5 } ], tags: [] },
+			{ _id: 3, customer: 'ann', status: 'shipped', total: 75, items: [], shippedAt: new Date(2015, 0, 2) }
+		]);
+	});
+
+	it('should give the same collection for the same name', function() {
+		expect(db.collection('orders')).to.equal(orders);
+		expect(orders.db).to.equal(db);
+		expect(orders.collectionName).to.equal('orders');
+	});
+
+	describe('find', function() {
+		var findIds = function(selector) {
+			return orders.find(selector).toArrayAsync().then(function(docs) {
+				return _.pluck(docs, '_id');
+			});
+		};
+
+		it('should support the common query operators', function() {
+			return Promise.all([
+				findIds({ customer: 'ann', total: { $gte: 50 } }),
+				findIds({ $or: [ { total: { $lt: 40 } }, { status: { $in: [ 'cancelled', 'shipped' ] }, customer: { $ne: 'ann' } } ] }),
+				findIds({ shippedAt: { $exists: false } }),
+				findIds({ 'items.sku': 'b' }),
+				findIds({ items: { $elemMatch: { sku: 'a', qty: { $gt: 2 } } } }),
+				findIds({ tags: 'gift' }),
+				findIds({ tags: { $size: 0 } }),
+				findIds({ customer: /^b/ }),
+				findIds({ customer: { $regex: 'A', $options: 'i' }, total: { $not: { $gt: 50 } } }),
+				findIds({ shippedAt: { $gt: new Date(2015, 0, 1) } })
+			])
+				.then(function(results) {
+					expect(results).to.deep.equal([ [ 3 ], [ 1, 2 ], [ 1, 2 ], [ 1 ], [ 2 ], [ 1 ], [ 2 ], [ 2 ], [ 1 ], [ 3 ] ]);
+				});
+		});
+
+		it('should sort, skip, limit and project', function() {
+			return orders.find({}, { customer: 1 }).sort({ total: -1 }).skip(1).limit(1).toArrayAsync()
+				.then(function(docs) {
+					expect(docs).to.deep.equal([ { _id: 3, customer: 'ann' } ]);
+					return orders.find({ customer: 'ann' }, { sort: [ [ 'total', 'desc' ] ], fields: { items: 0, tags: 0, shippedAt: 0 } }).toArrayAsync();
+				})
+				.then(function(docs) {
+					expect(docs).to.deep.equal([ { _id: 3, customer: 'ann', status: 'shipped', total: 75 }, { _id: 1, customer: 'ann', status: 'open', total: 30 } ]);
+				});
+		});
+
+		it('should read cursors one document at a time, and count them', function() {
+			var cursor = orders.find({ customer: 'ann' }).sort('total', 1);
+			return Promise.join(cursor.nextObjectAsync(), cursor.countAsync(), function(doc, count) {
+				expect(doc._id).to.equal(1);
+				expect(count).to.equal(2);
+				return cursor.toArrayAsync();
+			})
+				.then(function(rest) {
+					expect(_.pluck(rest, '_id')).to.deep.equal([ 3 ]);
+					return cursor.nextObjectAsync();
+				})
+				.then(function(doc) {
+					expect(doc).to.be.null;
+				});
+		});
+
+		it('should return copies, so changing them doesn\'t change what\'s stored', function() {
+			return orders.findOneAsync({ _id: 1 })
+				.then(function(doc) {
+					doc.items[0].qty = 100;
+					return orders.findOneAsync({ _id: 1 });
+				})
+				.then(function(doc) {
+					expect(doc.items[0].qty).to.equal(1);
+				});
+		});
+	});
+
+	describe('writes', function() {
+		it('should give inserted documents an ObjectID, and reject duplicate ids with code 11000', function() {
+			return orders.insertAsync({ customer: 'cat' })
+				.then(function(docs) {
+					expect(docs[0]._id).to.be.an.instanceof(ObjectId);
+					return orders.findOneAsync({ _id: new ObjectId(docs[0]._id.toHexString()) });
+				})
+				.then(function(doc) {
+					expect(doc.customer).to.equal('cat');
+					return expect(orders.insertAsync({ _id: 1 })).to.be.rejected;
+				})
+				.then(function(err) {
+					expect(err.code).to.equal(11000);
+				});
+		});
+
+		it('should update the first matching document, or all of them with multi', function() {
+			return orders.updateAsync({ customer: 'ann' }, { $set: { status: 'closed' }, $inc: { total: 5 }, $push: { tags: { $each: [ 'x', 'y' ] } } })
+				.spread(function(count) {
+					expect(count).to.equal(1);
+					return orders.updateAsync({ customer: 'ann' }, { $unset: { tags: 1 }, $addToSet: { seen: 'today' } }, { multi: true });
+				})
+				.spread(function(count) {
+					expect(count).to.equal(2);
+					return orders.find({ customer: 'ann' }).sort({ _id: 1 }).toArrayAsync();
+				})
+				.then(function(docs) {
+					expect(_.pick(docs[0], 'status', 'total', 'tags', 'seen')).to.deep.equal({ status: 'closed', total: 35, seen: [ 'today' ] });
+					expect(_.pick(docs[1], 'status', 'total', 'seen')).to.deep.equal({ status: 'shipped', total: 75, seen: [ 'today' ] });
+				});
+		});
+
+		it('should upsert, starting from the selector\'s equality fields', function() {
+			return orders.updateAsync({ customer: 'dan', total: { $gt: 10 } }, { $set: { status: 'open' }, $setOnInsert: { total: 0 } }, { upsert: true })
+				.then(function() {
+					return orders.findOneAsync({ customer: 'dan' }, { _id: 0 });
+				})
+				.then(function(doc) {
+					expect(doc).to.deep.equal({ customer: 'dan', status: 'open', total: 0 });
+				});
+		});
+
+		it('should replace, remove and findAndModify', function() {
+			return orders.saveAsync({ _id: 2, customer: 'bob', status: 'returned' })
+				.then(function() {
+					return orders.findAndModifyAsync({ customer: 'ann' }, [ [ 'total', -1 ] ], { $set: { status: 'lost' } }, { 'new': true });
+				})
+				.spread(function(doc) {
+					expect(doc).to.have.property('_id', 3);
+					expect(doc).to.have.property('status', 'lost');
+					return orders.removeAsync({ status: { $in: [ 'returned', 'lost' ] } });
+				})
+				.then(function(count) {
+					expect(count).to.equal(2);
+					return orders.countAsync();
+				})
+				.then(function(count) {
+					expect(count).to.equal(1);
+				});
+		});
+	});
+
+	describe('count, distinct and aggregate', function() {
+		it('should count and find the distinct values of the matching documents', function() {
+			return Promise.join(
+				orders.countAsync({ status: 'shipped' }),
+				orders.distinctAsync('customer'),
+				orders.distinctAsync('items.sku', { status: 'shipped' }),
+				function(count, customers, skus) {
+					expect(count).to.equal(2);
+					expect(customers).to.deep.equal([ 'ann', 'bob' ]);
+					expect(skus).to.deep.equal([ 'a' ]);
+				});
+		});
+
+		it('should run the simple aggregation stages', function() {
+			return orders.aggregateAsync([
+				{ $match: { total: { $gt: 0 } } },
+				{ $unwind: '$items' },
+				{ $group: { _id: '$items.sku', qty: { $sum: '$items.qty' }, orders: { $sum: 1 }, customers: { $addToSet: '$customer' } } },
+				{ $sort: { qty: -1 } },
+				{ $project: { qty: 1, customers: 1 } },
+				{ $limit: 5 }
+			])
+				.then(function(results) {
+					expect(results).to.deep.equal([
+						{ _id: 'a', qty: 6, customers: [ 'ann', 'bob' ] },
+						{ _id: 'b', qty: 2, customers: [ 'ann' ] }
+					]);
+				});
+		});
+
+		it('should return a cursor when aggregate is given the cursor option, and reject unsupported stages', function() {
+			return orders.aggregate([ { $group: { _id: null, total: { $sum: '$total' }, avg: { $avg: '$total' } } } ], { cursor: {} }).toArrayAsync()
+				.then(function(results) {
+					expect(results).to.deep.equal([ { _id: null, total: 225, avg: 75 } ]);
+					return expect(orders.aggregateAsync([ { $lookup: {} } ])).to.be.rejectedWith('The fake db doesn\'t support the $lookup aggregation stage');
+				});
+		});
+	});
+});
@@ -0,0 +1,7 @@
+exports.up = function(db) {
+	return db.collection('users').ensureIndexAsync({ email: 1 });
+};
+
+exports.down = function(db) {
+	return db.collection('users').dropIndexAsync('email_1');
+};
@@ -0,0 +1,3 @@
+exports.up = function(db, callback) {
+	db.collection('users').update({ role: { $exists: false } }, { $set: { role: 'member' } }, { multi: true }, callback);
+};
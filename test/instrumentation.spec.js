@@ -0,0 +1,121 @@
+var Promise = require('bluebird');
+var instrumentation = require('../src/instrumentation');
+
+describe('instrumentation', function() {
+
+	var hook;
+
+	beforeEach(function() {
+		hook = sinon.stub();
+		instrumentation.addHook(hook);
+	});
+
+	afterEach(function() {
+		instrumentation.removeAllHooks();
+	});
+
+	describe('.measure()', function() {
+		it('should report the operation and its duration to the hooks once it settles', function() {
+			var promise = Promise.delay(5).return('result');
+			expect(instrumentation.measure(promise, { db: 'db', collection: 'orders', method: 'findOne', args: [ {} ] })).to.equal(promise);
+			expect(hook).not.to.have.been.called;
+			return promise
+				.then(function() {
+					expect(hook).to.have.been.calledOnce;
+					expect(hook.args[0][0]).to.have.property('method', 'findOne');
+					expect(hook.args[0][0].durationMS).to.be.at.least(4);
+					expect(hook.args[0][0]).not.to.have.property('error');
+				});
+		});
+
+		it('should report the error of a failed operation', function() {
+			var err = new Error('failed');
+			return expect(instrumentation.measure(Promise.reject(err), { method: 'insert' })).to.be.rejectedWith('failed')
+				.then(function() {
+					expect(hook.args[0][0]).to.have.property('error', err);
+				});
+		});
+
+		it('should keep calling the other hooks if one throws', function() {
+			var otherHook = sinon.stub();
+			sinon.stub(console, 'error');
+			instrumentation.addHook(function() { throw new Error('broken hook'); });
+			instrumentation.addHook(otherHook);
+			return instrumentation.measure(Promise.resolve(), { method: 'count' })
+				.delay(1)
+				.then(function() {
+					console.error.restore();
+					expect(hook).to.have.been.calledOnce;
+					expect(otherHook).to.have.been.calledOnce;
+				});
+		});
+
+		it('should stop calling a hook once it\'s removed', function() {
+			var remove = instrumentation.addHook(sinon.stub());
+			instrumentation.removeHook(hook);
+			remove();
+			return instrumentation.measure(Promise.resolve(), { method: 'count' })
+				.delay(1)
+				.then(function() {
+					expect(hook).not.to.have.been.called;
+				});
+		});
+	});
+
+	describe('.instrumentAsyncMethods()', function() {
+		it('should report the calls of the *Async methods, as described', function() {
+			var obj = { findOneAsync: sinon.stub().resolves({ a: 1 }), find: sinon.stub() };
+			obj.findOneAsync.__isPromisified__ = true;
+			instrumentation.instrumentAsyncMethods(obj, function(o, method, args) {
+				return { method: method, args: args };
+			});
+			expect(obj.findOneAsync.__isPromisified__).to.be.true;
+			return obj.findOneAsync({ a: 1 })
+				.then(function(doc) {
+					expect(doc).to.deep.equal({ a: 1 });
+					expect(hook).to.have.been.calledWith(sinon.match({ method: 'findOne', args: [ { a: 1 } ] }));
+				});
+		});
+
+		it('should not report calls that aren\'t described', function() {
+			var obj = { cachedAggregateAsync: sinon.stub().resolves([]) };
+			instrumentation.instrumentAsyncMethods(obj, function() { return null; });
+			return obj.cachedAggregateAsync()
+				.delay(1)
+				.then(function() {
+					expect(hook).not.to.have.been.called;
+				});
+		});
+	});
+
+	describe('.slowQueryLogger()', function() {
+		var log;
+		var event;
+
+		beforeEach(function() {
+			log = sinon.stub();
+			event = { db: 'shop', collection: 'orders', method: 'find', args: [ { status: 'open', total: { $gt: 100 } } ], durationMS: 250 };
+		});
+
+		it('should log the operations that take at least the threshold, with their arguments redacted', function() {
+			instrumentation.slowQueryLogger({ thresholdMS: 200, log: log })(event);
+			instrumentation.slowQueryLogger({ thresholdMS: 300, log: log })(event);
+			expect(log).to.have.been.calledOnce;
+			expect(log).to.have.been.calledWith('porqpine: slow find on shop.orders took 250ms: [{"status":"?","total":{"$gt":"?"}}]', event);
+		});
+
+		it('should log the arguments as they are if redact is false, or as a redact function returns them', function() {
+			instrumentation.slowQueryLogger({ redact: false, log: log })(event);
+			instrumentation.slowQueryLogger({ redact: function(args) { return args.length; }, log: log })(event);
+			expect(log.args[0][0]).to.contain('[{"status":"open","total":{"$gt":100}}]');
+			expect(log.args[1][0]).to.match(/: 1$/);
+		});
+
+		it('should mention how a cached query used the cache', function() {
+			event.method = 'cachedAggregate';
+			event.cache = 'miss';
+			instrumentation.slowQueryLogger({ log: log })(event);
+			expect(log.args[0][0]).to.contain('took 250ms (cache miss)');
+		});
+	});
+});
@@ -0,0 +1,74 @@
+var LruCache = require('../src/lruCache');
+
+describe('LruCache', function() {
+
+	it('should return what was set for a key', function() {
+		var cache = new LruCache();
+		cache.set('a', { some: 'value' });
+		expect(cache.get('a')).to.deep.equal({ some: 'value' });
+		expect(cache.get('b')).to.be.undefined;
+	});
+
+	it('should evict the least recently used entry when there are more than maxEntries', function() {
+		var cache = new LruCache({ maxEntries: 2 });
+		cache.set('a', 1);
+		cache.set('b', 2);
+		cache.get('a');
+		cache.set('c', 3);
+		expect(cache.get('a')).to.equal(1);
+		expect(cache.get('b')).to.be.undefined;
+		expect(cache.get('c')).to.equal(3);
+		expect(cache.length).to.equal(2);
+	});
+
+	it('should evict the least recently used entries when the entries are more than maxBytes in size', function() {
+		var cache = new LruCache({ maxBytes: 10 });
+		cache.set('a', 'aaa'); // 5 bytes, as JSON
+		cache.set('b', 'bbb');
+		cache.set('c', 'ccc');
+		expect(cache.get('a')).to.be.undefined;
+		expect(cache.get('b')).to.equal('bbb');
+		expect(cache.get('c')).to.equal('ccc');
+		expect(cache.bytes).to.equal(10);
+	});
+
+	it('should not hold a single entry bigger than maxBytes', function() {
+		var cache = new LruCache({ maxBytes: 10 });
+		cache.set('a', 'a');
+		expect(cache.set('b', 'way too big to fit')).to.be.false;
+		expect(cache.get('a')).to.equal('a');
+		expect(cache.get('b')).to.be.undefined;
+	});
+
+	it('should replace the existing entry when setting the same key again', function() {
+		var cache = new LruCache();
+		cache.set('a', 'first');
+		cache.set('a', 'second');
+		expect(cache.get('a')).to.equal('second');
+		expect(cache.length).to.equal(1);
+		expect(cache.bytes).to.equal(8);
+	});
+
+	it('should remove entries for which .delWhere()\'s predicate is true', function() {
+		var cache = new LruCache();
+		cache.set('a', 1);
+		cache.set('b', 2);
+		cache.set('c', 3);
+		cache.delWhere(function(value) {
+			return value % 2 === 1;
+		});
+		expect(cache.get('a')).to.be.undefined;
+		expect(cache.get('b')).to.equal(2);
+		expect(cache.get('c')).to.be.undefined;
+		expect(cache.length).to.equal(1);
+	});
+
+	it('should remove everything on .clear()', function() {
+		var cache = new LruCache();
+		cache.set('a', 1);
+		cache.clear();
+		expect(cache.get('a')).to.be.undefined;
+		expect(cache.length).to.equal(0);
+		expect(cache.bytes).to.equal(0);
+	});
+});
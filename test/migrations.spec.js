@@ -0,0 +1,272 @@
+var Promise = require('bluebird');
+var _ = require('lodash');
+var migrations = require('../src/migrations');
+
+describe('migrations', function() {
+
+	var db;
+	var migrationsCollection;
+	var applied;
+	var available;
+
+	beforeEach(function() {
+		migrationsCollection = new FakeCollection();
+		db = { collection: sinon.spy(function() { return migrationsCollection; }) };
+		applied = [];
+		available = _.map([ 1, 2, 3 ], function(version) {
+			return {
+				version: version,
+				name: version + '-step.js',
+				up: sinon.spy(function() { applied.push(version); }),
+				down: sinon.spy(function() { applied = _.without(applied, version); })
+			};
+		});
+	});
+
+	describe('.load()', function() {
+		it('should load the numbered migrations of a directory, in version order', function() {
+			var loaded = migrations.load('test/fixtures/migrations');
+			expect(_.pluck(loaded, 'version')).to.deep.equal([ 1, 2 ]);
+			expect(_.pluck(loaded, 'name')).to.deep.equal([ '001-create-users.js', '002-backfill-roles.js' ]);
+			expect(loaded[0].down).to.be.a('function');
+			expect(loaded[1].down).to.be.undefined;
+		});
+	});
+
+	describe('.up()', function() {
+		it('should apply the pending migrations in order, and record them', function() {
+			migrationsCollection.docs.push({ version: 1, name: '1-step.js', appliedAt: new Date() });
+			return migrations.up(db, { migrations: available.slice().reverse() })
+				.then(function(result) {
+					expect(result).to.deep.equal([ { version: 2, name: '2-step.js' }, { version: 3, name: '3-step.js' } ]);
+					expect(applied).to.deep.equal([ 2, 3 ]);
+					expect(available[2].up).to.have.been.calledWith(db);
+					expect(_.pluck(migrationsCollection.docs, 'version')).to.deep.equal([ 1, 2, 3 ]);
+					expect(_.find(migrationsCollection.docs, { _id: 'lock' })).to.be.undefined;
+				});
+		});
+
+		it('should stop at the to version', function() {
+			return migrations.up(db, { migrations: available, to: 2 })
+				.then(function() {
+					expect(applied).to.deep.equal([ 1, 2 ]);
+				});
+		});
+
+		it('should support migrations that take a callback', function() {
+			available[0].up = function(db, callback) {
+				setTimeout(callback, 1);
+			};
+			return migrations.up(db, { migrations: available })
+				.then(function(result) {
+					expect(result).to.have.length(3);
+				});
+		});
+
+		it('should only list the pending migrations on a dry run', function() {
+			return migrations.up(db, { migrations: available, dryRun: true })
+				.then(function(result) {
+					expect(_.pluck(result, 'version')).to.deep.equal([ 1, 2, 3 ]);
+					expect(applied).to.be.empty;
+					expect(migrationsCollection.docs).to.be.empty;
+				});
+		});
+
+		it('should stop at a failed migration, and release the lock', function() {
+			available[1].up = sinon.stub().rejects(new Error('bad data'));
+			return migrations.up(db, { migrations: available })
+				.then(function() {
+					throw new Error('should have been rejected');
+				}, function(err) {
+					expect(err.message).to.equal('bad data');
+					expect(err.migration).to.equal('2-step.js');
+					expect(applied).to.deep.equal([ 1 ]);
+					expect(migrationsCollection.docs).to.have.length(1);
+				});
+		});
+
+		it('should be rejected without running anything while another run holds the lock', function() {
+			var lockedAt = new Date();
+			migrationsCollection.docs.push({ _id: 'lock', owner: 'deploy-1', lockedAt: lockedAt, expiresAt: new Date(lockedAt.getTime() + 60000) });
+			return expect(migrations.up(db, { migrations: available })).to.be.rejectedWith('The migrations are locked by another run (deploy-1, since ' + lockedAt.toISOString() + ')')
+				.then(function() {
+					expect(applied).to.be.empty;
+					expect(_.find(migrationsCollection.docs, { _id: 'lock' })).to.have.property('owner', 'deploy-1');
+				});
+		});
+
+		it('should only read which migrations are pending once it holds the lock', function() {
+			var insertAsync = migrationsCollection.insertAsync;
+			sinon.stub(migrationsCollection, 'insertAsync', function(doc) {
+				if (doc._id === 'lock') //another run finishes them all just before this one takes the lock
+				{
+					_.each(available, function(migration) {
+						migrationsCollection.docs.push({ version: migration.version, name: migration.name, appliedAt: new Date() });
+					});
+				}
+				return insertAsync.apply(this, arguments);
+			});
+			return migrations.up(db, { migrations: available })
+				.then(function(result) {
+					expect(result).to.be.empty;
+					expect(applied).to.be.empty;
+				});
+		});
+
+		it('should make sure there\'s a unique index on the recorded versions', function() {
+			sinon.spy(migrationsCollection, 'ensureIndexAsync');
+			return migrations.up(db, { migrations: available })
+				.then(function() {
+					expect(migrationsCollection.ensureIndexAsync).to.have.been.calledWith({ version: 1 }, { unique: true, sparse: true });
+				});
+		});
+
+		it('should renew the lock after each migration', function() {
+			var expiresAts = [];
+			available[1].up = function() {
+				expiresAts.push(_.find(migrationsCollection.docs, { _id: 'lock' }).expiresAt);
+			};
+			available[2].up = available[1].up;
+			return migrations.up(db, { migrations: available, lockTimeout: 60 })
+				.then(function() {
+					expect(expiresAts).to.have.length(2);
+					expect(expiresAts[1]).not.to.equal(expiresAts[0]);
+				});
+		});
+
+		it('should stop once the lock has been taken over by another run', function() {
+			available[0].up = function() {
+				//as if this one took longer than the lockTimeout
+				migrationsCollection.docs = _.reject(migrationsCollection.docs, { _id: 'lock' }).concat({ _id: 'lock', owner: 'deploy-2' });
+			};
+			return expect(migrations.up(db, { migrations: available })).to.be.rejectedWith('The migrations lock expired, and was taken over by another run')
+				.then(function() {
+					expect(available[1].up).not.to.have.been.called;
+					expect(_.find(migrationsCollection.docs, { _id: 'lock' })).to.have.property('owner', 'deploy-2');
+				});
+		});
+
+		it('should take over an expired lock', function() {
+			migrationsCollection.docs.push({ _id: 'lock', owner: 'crashed', lockedAt: new Date(0), expiresAt: new Date(1) });
+			return migrations.up(db, { migrations: available })
+				.then(function() {
+					expect(applied).to.deep.equal([ 1, 2, 3 ]);
+					expect(_.find(migrationsCollection.docs, { _id: 'lock' })).to.be.undefined;
+				});
+		});
+	});
+
+	describe('.down()', function() {
+		beforeEach(function() {
+			return migrations.up(db, { migrations: available });
+		});
+
+		it('should revert the last applied migration', function() {
+			return migrations.down(db, { migrations: available })
+				.then(function(result) {
+					expect(result).to.deep.equal([ { version: 3, name: '3-step.js' } ]);
+					expect(applied).to.deep.equal([ 1, 2 ]);
+					expect(_.pluck(migrationsCollection.docs, 'version')).to.deep.equal([ 1, 2 ]);
+				});
+		});
+
+		it('should revert the migrations after the to version, in reverse order', function() {
+			return migrations.down(db, { migrations: available, to: 1 })
+				.then(function(result) {
+					expect(_.pluck(result, 'version')).to.deep.equal([ 3, 2 ]);
+					expect(available[1].down).to.have.been.calledAfter(available[2].down);
+					expect(applied).to.deep.equal([ 1 ]);
+				});
+		});
+
+		it('should be rejected if a migration to revert has no down function', function() {
+			delete available[2].down;
+			return expect(migrations.down(db, { migrations: available })).to.be.rejectedWith('The migration 3-step.js can\'t be reverted, since it doesn\'t export a down function');
+		});
+	});
+
+	describe('.status()', function() {
+		it('should list every migration with when it was applied, including applied ones that are missing', function() {
+			var appliedAt = new Date();
+			migrationsCollection.docs.push({ version: 1, name: '1-step.js', appliedAt: appliedAt });
+			migrationsCollection.docs.push({ version: 4, name: '4-gone.js', appliedAt: appliedAt });
+			return migrations.status(db, { migrations: available, collection: 'schemaVersions' })
+				.then(function(statuses) {
+					expect(db.collection).to.have.been.calledWith('schemaVersions');
+					expect(statuses).to.deep.equal([
+						{ version: 1, name: '1-step.js', appliedAt: appliedAt },
+						{ version: 2, name: '2-step.js', appliedAt: null },
+						{ version: 3, name: '3-step.js', appliedAt: null },
+						{ version: 4, name: '4-gone.js', appliedAt: appliedAt, missing: true }
+					]);
+				});
+		});
+	});
+});
+
+/**
+ * Just enough of a collection for the migrations: documents are matched by equality, $exists and $lt
+ */
+function FakeCollection() {
+	this.docs = [];
+}
+
+FakeCollection.prototype.insertAsync = function(doc) {
+	if (doc._id && _.find(this.docs, { _id: doc._id }))
+	{
+		var err = new Error('E11000 duplicate key error');
+		err.code = 11000;
+		return Promise.reject(err);
+	}
+	this.docs.push(doc);
+	return Promise.resolve([ doc ]);
+};
+
+FakeCollection.prototype.removeAsync = function(selector) {
+	var count = this.docs.length;
+	this.docs = _.reject(this.docs, _.partial(matches, selector));
+	return Promise.resolve([ count - this.docs.length ]);
+};
+
+FakeCollection.prototype.updateAsync = function(selector, update) {
+	var matching = _.filter(this.docs, _.partial(matches, selector));
+	_.each(matching, function(doc) {
+		_.extend(doc, update.$set);
+	});
+	return Promise.resolve([ matching.length ]);
+};
+
+FakeCollection.prototype.ensureIndexAsync = function() {
+	return Promise.resolve('version_1');
+};
+
+FakeCollection.prototype.findOneAsync = function(selector) {
+	return Promise.resolve(_.find(this.docs, _.partial(matches, selector)) || null);
+};
+
+FakeCollection.prototype.find = function(selector) {
+	var docs = _.filter(this.docs, _.partial(matches, selector));
+	return {
+		sort: function(sort) {
+			docs = _.sortBy(docs, _.keys(sort)[0]);
+			return this;
+		},
+		toArrayAsync: function() {
+			return Promise.resolve(docs);
+		}
+	};
+};
+
+function matches(selector, doc) {
+	return _.every(selector, function(condition, key) {
+		if (_.isPlainObject(condition) && _.has(condition, '$exists'))
+		{
+			return _.has(doc, key) === condition.$exists;
+		}
+		if (_.isPlainObject(condition) && _.has(condition, '$lt'))
+		{
+			return doc[key] < condition.$lt;
+		}
+		return _.isEqual(doc[key], condition);
+	});
+}
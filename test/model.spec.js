@@ -0,0 +1,181 @@
+var _ = require('lodash');
+var Model = require('../src/model');
+
+describe('Model', function() {
+
+	var collection;
+	var model;
+	var schema = {
+		name: { type: 'string', required: true },
+		age: 'number',
+		role: { type: 'string', enum: [ 'admin', 'member' ], default: 'member' },
+		createdAt: { type: 'date', default: function() { return new Date(0); } },
+		address: { type: 'object', schema: { city: { type: 'string', required: true }, zip: 'string' } },
+		tags: { type: 'array', of: 'string' },
+		extra: 'object'
+	};
+
+	beforeEach(function() {
+		collection = {
+			insertAsync: sinon.stub().resolves([ {} ]),
+			saveAsync: sinon.stub().resolves(1),
+			updateAsync: sinon.stub().resolves(1)
+		};
+		model = new Model(function() { return collection; }, 'users', schema);
+	});
+
+	it('should throw if the schema is invalid', function() {
+		expect(function() {
+			new Model(_.noop, 'users', { name: 'text', age: { type: 'number', min: 0 }, tags: { type: 'string', of: 'string' } });
+		}).to.throw('Invalid schema was given for the users model:\n  - name has an unknown type: text\n  - age has an unknown key: min\n  - tags can only have an of if it\'s an array');
+	});
+
+	describe('.validate()', function() {
+		it('should find no problems in a matching document', function() {
+			expect(model.validate({ _id: 1, name: 'Ann', age: 30, role: 'admin', address: { city: 'Oslo' }, tags: [ 'a' ], unknown: true })).to.deep.equal([]);
+		});
+
+		it('should report missing, mistyped and unlisted values by path', function() {
+			expect(model.validate({ age: '30', role: 'owner', address: { zip: 1234 }, tags: [ 'a', 2 ] })).to.deep.equal([
+				{ path: 'name', message: 'name is required' },
+				{ path: 'age', message: 'age must be a number' },
+				{ path: 'role', message: 'role must be one of admin, member' },
+				{ path: 'address.city', message: 'address.city is required' },
+				{ path: 'address.zip', message: 'address.zip must be a string' },
+				{ path: 'tags.1', message: 'tags.1 must be a string' }
+			]);
+		});
+
+		it('should report unknown fields if the model is strict', function() {
+			model = new Model(_.noop, 'users', schema, { strict: true });
+			expect(model.validate({ _id: 1, name: 'Ann', nickname: 'A', address: { city: 'Oslo', street: 'Main' } })).to.deep.equal([
+				{ path: 'address.street', message: 'unknown field address.street' },
+				{ path: 'nickname', message: 'unknown field nickname' }
+			]);
+		});
+	});
+
+	describe('.validateUpdate()', function() {
+		it('should check the $set fields, including dotted paths, but not require the others', function() {
+			expect(model.validateUpdate({ $set: { age: 31, 'address.zip': '0150', 'tags.2': 'b', 'extra.anything': 1 }, $inc: { visits: 1 } })).to.deep.equal([]);
+			expect(model.validateUpdate({ $set: { role: 'owner', 'address.zip': 150 }, $setOnInsert: { name: null } })).to.deep.equal([
+				{ path: 'role', message: 'role must be one of admin, member' },
+				{ path: 'address.zip', message: 'address.zip must be a string' },
+				{ path: 'name', message: 'name is required' }
+			]);
+		});
+
+		it('should not allow required fields to be unset', function() {
+			expect(model.validateUpdate({ $unset: { age: 1, name: 1 } })).to.deep.equal([
+				{ path: 'name', message: 'name is required, so it can\'t be unset' }
+			]);
+		});
+
+		it('should check a replacement document as a whole', function() {
+			expect(model.validateUpdate({ age: 31 })).to.deep.equal([ { path: 'name', message: 'name is required' } ]);
+		});
+
+		it('should report unknown $set paths if the model is strict', function() {
+			model = new Model(_.noop, 'users', schema, { strict: true });
+			expect(model.validateUpdate({ $set: { 'address.street': 'Main', 'extra.anything': 1 } })).to.deep.equal([
+				{ path: 'address.street', message: 'unknown field address.street' }
+			]);
+		});
+
+		it('should not allow required fields to be renamed, or fields to be renamed to ones of another type', function() {
+			expect(model.validateUpdate({ $rename: { name: 'fullName', 'address.zip': 'address.city', age: 'tags' } })).to.deep.equal([
+				{ path: 'name', message: 'name is required, so it can\'t be renamed' },
+				{ path: 'tags', message: 'tags must be an array, so age can\'t be renamed to it' }
+			]);
+			expect(model.validateUpdate({ $rename: { visits: 'age' } })).to.deep.equal([
+				{ path: 'age', message: 'age must be a number, so visits can\'t be renamed to it' }
+			]);
+		});
+
+		it('should only allow numbers to be changed by numbers with $inc and $mul', function() {
+			expect(model.validateUpdate({ $inc: { age: 1 }, $mul: { 'extra.score': 2 } })).to.deep.equal([]);
+			expect(model.validateUpdate({ $inc: { name: 1, age: '1' }, $mul: { role: 2 } })).to.deep.equal([
+				{ path: 'name', message: 'name must be a string, so it can\'t be changed with $inc' },
+				{ path: 'age', message: 'age can only be changed by a number with $inc' },
+				{ path: 'role', message: 'role must be one of admin, member, so it can\'t be changed with $mul' }
+			]);
+		});
+
+		it('should check the items $pushed or $addedToSet against the array\'s field spec', function() {
+			expect(model.validateUpdate({ $push: { tags: 'a' }, $addToSet: { tags: { $each: [ 'b', 'c' ] } } })).to.deep.equal([]);
+			expect(model.validateUpdate({ $push: { tags: { $each: [ 'a', 1 ] }, name: 'x' }, $addToSet: { tags: null } })).to.deep.equal([
+				{ path: 'tags[]', message: 'tags[] must be a string' },
+				{ path: 'name', message: 'name must be a string, so it can\'t be changed with $push' }
+			]);
+		});
+
+		it('should reject operators it can\'t check, and fields given alongside operators', function() {
+			expect(model.validateUpdate({ $bit: { age: { and: 1 } }, age: 3, $set: { age: 31 } })).to.deep.equal([
+				{ path: '$bit', message: 'the $bit operator can\'t be checked against the schema' },
+				{ path: 'age', message: 'age can\'t be given alongside update operators' }
+			]);
+		});
+
+		it('should require an upsert to give the required fields, in its selector or its update', function() {
+			expect(model.validateUpdate({ $set: { age: 31 } }, { upsert: true, selector: { _id: 1, name: { $in: [ 'Ann' ] } } })).to.deep.equal([
+				{ path: 'name', message: 'name is required, so an upsert has to give it' }
+			]);
+			expect(model.validateUpdate({ $set: { age: 31 } }, { upsert: true, selector: { name: 'Ann' } })).to.deep.equal([]);
+			expect(model.validateUpdate({ $setOnInsert: { name: 'Ann' } }, { upsert: true, selector: { _id: 1 } })).to.deep.equal([]);
+			expect(model.validateUpdate({ $set: { age: 31 } }, { selector: { _id: 1 } })).to.deep.equal([]);
+		});
+	});
+
+	describe('.insert()', function() {
+		it('should insert the documents with their defaults filled in', function() {
+			return model.insert([ { name: 'Ann' }, { name: 'Bob', role: 'admin' } ])
+				.then(function() {
+					expect(collection.insertAsync).to.have.been.calledWith([
+						{ name: 'Ann', role: 'member', createdAt: new Date(0) },
+						{ name: 'Bob', role: 'admin', createdAt: new Date(0) }
+					]);
+				});
+		});
+
+		it('should be rejected with a ValidationError, without inserting anything, if a document is invalid', function() {
+			return model.insert([ { name: 'Ann' }, { age: 3 } ])
+				.then(function() {
+					throw new Error('should have been rejected');
+				}, function(err) {
+					expect(err).to.be.an.instanceof(Model.ValidationError);
+					expect(err.collectionName).to.equal('users');
+					expect(err.errors).to.deep.equal([ { path: '[1].name', message: '[1] name is required' } ]);
+					expect(collection.insertAsync).not.to.have.been.called;
+				});
+		});
+	});
+
+	describe('.save()', function() {
+		it('should validate the whole document before saving it', function() {
+			return expect(model.save({ _id: 1, age: 3 })).to.be.rejectedWith(Model.ValidationError, 'name is required')
+				.then(function() {
+					return model.save({ _id: 1, name: 'Ann' }, { w: 1 });
+				})
+				.then(function() {
+					expect(collection.saveAsync).to.have.been.calledOnce;
+					expect(collection.saveAsync).to.have.been.calledWith({ _id: 1, name: 'Ann', role: 'member', createdAt: new Date(0) }, { w: 1 });
+				});
+		});
+	});
+
+	describe('.update()', function() {
+		it('should validate the update before running it', function() {
+			return expect(model.update({ _id: 1 }, { $set: { age: 'old' } })).to.be.rejectedWith(Model.ValidationError, 'age must be a number')
+				.then(function() {
+					return expect(model.update({ _id: 1 }, { $set: { age: 31 } }, { upsert: true })).to.be.rejectedWith(Model.ValidationError, 'name is required, so an upsert has to give it');
+				})
+				.then(function() {
+					return model.update({ _id: 1 }, { $set: { age: 31 }, $setOnInsert: { name: 'Ann' } }, { upsert: true });
+				})
+				.then(function() {
+					expect(collection.updateAsync).to.have.been.calledOnce;
+					expect(collection.updateAsync).to.have.been.calledWith({ _id: 1 }, { $set: { age: 31 }, $setOnInsert: { name: 'Ann' } }, { upsert: true });
+				});
+		});
+	});
+});
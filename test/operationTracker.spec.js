@@ -0,0 +1,80 @@
+var Promise = require('bluebird');
+var operationTracker = require('../src/operationTracker');
+
+describe('operationTracker', function() {
+
+	describe('.track()', function() {
+		it('should list an operation as pending until its promise settles', function() {
+			var resolve;
+			var tracked = operationTracker.track(new Promise(function(res) { resolve = res; }), { operation: 'findOne', namespace: 'db.orders' });
+			var pending = operationTracker.getPending();
+			expect(pending).to.have.length(1);
+			expect(pending[0]).to.have.property('operation', 'findOne');
+			expect(pending[0]).to.have.property('namespace', 'db.orders');
+			expect(pending[0].startedAt).to.be.an.instanceof(Date);
+			resolve('result');
+			return tracked
+				.then(function(res) {
+					expect(res).to.equal('result');
+					expect(operationTracker.getPending()).to.be.empty;
+				});
+		});
+
+		it('should stop tracking rejected operations, too, and pass the rejection on', function() {
+			var tracked = operationTracker.track(Promise.reject(new Error('failed')), { operation: 'insert' });
+			return expect(tracked).to.be.rejectedWith('failed')
+				.then(function() {
+					expect(operationTracker.getPending()).to.be.empty;
+				});
+		});
+	});
+
+	describe('.waitForPending()', function() {
+		it('should resolve with an empty array once everything pending has settled', function() {
+			operationTracker.track(Promise.delay(5), { operation: 'update' });
+			return operationTracker.waitForPending(1000)
+				.then(function(pending) {
+					expect(pending).to.be.empty;
+				});
+		});
+
+		it('should wait for operations started while waiting', function() {
+			operationTracker.track(Promise.delay(5).then(function() {
+				operationTracker.track(Promise.delay(5), { operation: 'insert' });
+			}), { operation: 'update' });
+			return operationTracker.waitForPending(1000)
+				.then(function(pending) {
+					expect(pending).to.be.empty;
+					expect(operationTracker.getPending()).to.be.empty;
+				});
+		});
+
+		it('should resolve with the operations still pending when the timeout hits', function() {
+			var resolve;
+			operationTracker.track(new Promise(function(res) { resolve = res; }), { operation: 'aggregate' });
+			return operationTracker.waitForPending(10)
+				.then(function(pending) {
+					expect(pending).to.have.length(1);
+					expect(pending[0]).to.have.property('operation', 'aggregate');
+					resolve();
+				});
+		});
+	});
+
+	describe('.trackAsyncMethods()', function() {
+		it('should track the operations started by the promisified methods, as described', function() {
+			var obj = Promise.promisifyAll({
+				name: 'thing',
+				find: function(callback) { setTimeout(callback, 5); },
+				_hidden: function(callback) { callback(); }
+			});
+			operationTracker.trackAsyncMethods(obj, function(o, operation) {
+				return { operation: operation, namespace: o.name };
+			});
+			var promise = obj.findAsync();
+			expect(operationTracker.getPending()).to.deep.equal([ { operation: 'find', namespace: 'thing', startedAt: operationTracker.getPending()[0].startedAt } ]);
+			expect(obj.findAsync).to.have.property('__isPromisified__', true);
+			return promise;
+		});
+	});
+});
@@ -0,0 +1,161 @@
+var Promise = require('bluebird');
+var _ = require('lodash');
+var ObjectId = require('mongodb').ObjectID;
+var FakeDb = require('../src/fakeDb').FakeDb;
+var pagination = require('../src/pagination');
+
+describe('pagination', function() {
+
+	var posts;
+	var ids;
+
+	beforeEach(function() {
+		posts = new FakeDb('blog').collection('posts');
+		ids = _.times(7, function() { return new ObjectId(); });
+		// posts 2 & 3 and 4, 5 & 6 share a createdAt, so _id breaks the ties
+		return posts.insertAsync(_.map(ids, function(id, i) {
+			return { _id: id, n: i, status: (i === 1) ? 'draft' : 'published', createdAt: new Date(2015, 0, [ 1, 2, 3, 3, 4, 4, 4 ][i]) };
+		}));
+	});
+
+	var numbers = function(page) {
+		return _.pluck(page.items, 'n');
+	};
+
+	describe('.paginate()', function() {
+		it('should page forward through the matching documents in the sort order, then back again', function() {
+			var sort = { createdAt: -1 };
+			var pages = [];
+			return posts.paginateAsync({ status: 'published' }, { sort: sort, limit: 2 })
+				.then(function(page) {
+					pages.push(page);
+					return posts.paginateAsync({ status: 'published' }, { sort: sort, limit: 2, page: page.next });
+				})
+				.then(function(page) {
+					pages.push(page);
+					return posts.paginateAsync({ status: 'published' }, { sort: sort, limit: 2, page: page.next });
+				})
+				.then(function(page) {
+					pages.push(page);
+					return posts.paginateAsync({ status: 'published' }, { sort: sort, limit: 2, page: page.previous });
+				})
+				.then(function(page) {
+					pages.push(page);
+					return posts.paginateAsync({ status: 'published' }, { sort: sort, limit: 2, page: page.previous });
+				})
+				.then(function(page) {
+					pages.push(page);
+					expect(_.map(pages, numbers)).to.deep.equal([ [ 6, 5 ], [ 4, 3 ], [ 2, 0 ], [ 4, 3 ], [ 6, 5 ] ]);
+					expect(pages[0].previous).to.be.null;
+					expect(pages[1].previous).to.be.a('string');
+					expect(pages[2].next).to.be.null;
+					expect(pages[3].next).to.be.a('string');
+					expect(pages[4].previous).to.be.null;
+					expect(pages[4].next).to.equal(pages[0].next);
+				});
+		});
+
+		it('should default to pages of 20 in _id order', function() {
+			return posts.paginateAsync({})
+				.then(function(page) {
+					expect(numbers(page)).to.deep.equal(_.range(7));
+					expect(page.next).to.be.null;
+					expect(page.previous).to.be.null;
+				});
+		});
+
+		it('should not shift the pages when documents are inserted before the boundary', function() {
+			return posts.paginateAsync({}, { sort: { n: 1 }, limit: 3 })
+				.then(function(page) {
+					return posts.insertAsync({ n: -1 }).return(page);
+				})
+				.then(function(page) {
+					return posts.paginateAsync({}, { sort: { n: 1 }, limit: 3, page: page.next });
+				})
+				.then(function(page) {
+					expect(numbers(page)).to.deep.equal([ 3, 4, 5 ]);
+				});
+		});
+
+		it('should page past documents that are missing a sort key, in either direction', function() {
+			var sparse = new FakeDb('blog').collection('sparse');
+			var pageThrough = function(sort) {
+				var seen = [];
+				var nextPage = function(token) {
+					return sparse.paginateAsync({}, { sort: sort, limit: 2, page: token })
+						.then(function(page) {
+							seen.push(numbers(page));
+							return page.next ? nextPage(page.next) : seen;
+						});
+				};
+				return nextPage(null);
+			};
+			return sparse.insertAsync([ { _id: 0, n: 0 }, { _id: 1, n: 1 }, { _id: 2, n: 2, s: 1 }, { _id: 3, n: 3, s: 2 } ])
+				.then(function() {
+					return Promise.join(pageThrough({ s: 1 }), pageThrough({ s: -1 }));
+				})
+				.spread(function(ascending, descending) {
+					expect(ascending).to.deep.equal([ [ 0, 1 ], [ 2, 3 ] ]);
+					expect(descending).to.deep.equal([ [ 3, 2 ], [ 1, 0 ] ]);
+				});
+		});
+
+		it('should always return the sort keys, whatever fields are asked for', function() {
+			return posts.paginateAsync({}, { sort: { createdAt: 1 }, limit: 1, fields: { n: 1 } })
+				.then(function(page) {
+					expect(_.keys(page.items[0]).sort()).to.deep.equal([ '_id', 'createdAt', 'n' ]);
+					return posts.paginateAsync({}, { sort: { createdAt: 1 }, limit: 1, fields: { createdAt: 0, status: 0 }, page: page.next });
+				})
+				.then(function(page) {
+					expect(_.keys(page.items[0]).sort()).to.deep.equal([ '_id', 'createdAt', 'n' ]);
+					expect(page.items[0].n).to.equal(1);
+				});
+		});
+
+		it('should work with a callback', function(done) {
+			posts.paginate({ n: { $gt: 4 } }, function(err, page) {
+				expect(numbers(page)).to.deep.equal([ 5, 6 ]);
+				done(err);
+			});
+		});
+
+		it('should reject tokens that are invalid or were made for a different sort', function() {
+			return posts.paginateAsync({}, { sort: { createdAt: 1 }, limit: 2 })
+				.then(function(page) {
+					return Promise.join(
+						expect(posts.paginateAsync({}, { sort: { createdAt: -1 }, page: page.next })).to.be.rejectedWith('The page token was made for a different sort'),
+						expect(posts.paginateAsync({}, { page: 'garbage' })).to.be.rejectedWith('Invalid page token: garbage'),
+						expect(posts.paginateAsync({}, { limit: 0 })).to.be.rejectedWith('The page size (limit) must be at least 1')
+					);
+				});
+		});
+	});
+
+	describe('tokens', function() {
+		it('should reject tokens whose values aren\'t ones it makes, so they can\'t be query operators', function() {
+			var sortKeys = [ [ 'n', 1 ], [ '_id', 1 ] ];
+			var tokenOf = function(values) {
+				return Buffer.from(JSON.stringify({ d: 'next', s: sortKeys, v: values })).toString('base64');
+			};
+			expect(pagination.decodeToken(tokenOf([ 1, { $oid: ids[0].toHexString() } ]), sortKeys).values[1]).to.be.an.instanceof(ObjectId);
+			_.each([ [ { $ne: null }, 1 ], [ 1, { $regex: '.' } ], [ 1, { $oid: 'x', $gt: 1 } ], [ 1, [ 2 ] ], [ 1 ] ], function(values) {
+				expect(pagination.decodeToken.bind(pagination, tokenOf(values), sortKeys)).to.throw('Invalid page token');
+			});
+		});
+
+		it('should keep the types of ObjectIDs and Dates', function() {
+			var sortKeys = [ [ 'createdAt', 1 ], [ 'author.id', 1 ], [ 'title', -1 ], [ '_id', -1 ] ];
+			var doc = { _id: ids[0], createdAt: new Date(2015, 5, 1), author: { id: ids[1] }, title: 'Hello' };
+			var token = pagination.encodeToken('next', sortKeys, doc);
+			expect(token).to.match(/^[\w-]+$/);
+			var decoded = pagination.decodeToken(token, sortKeys);
+			expect(decoded.direction).to.equal('next');
+			expect(decoded.values[0]).to.be.an.instanceof(Date);
+			expect(decoded.values[0].getTime()).to.equal(doc.createdAt.getTime());
+			expect(decoded.values[1]).to.be.an.instanceof(ObjectId);
+			expect(decoded.values[1].toHexString()).to.equal(ids[1].toHexString());
+			expect(decoded.values[2]).to.equal('Hello');
+			expect(decoded.values[3].toHexString()).to.equal(ids[0].toHexString());
+		});
+	});
+});
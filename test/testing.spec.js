@@ -0,0 +1,96 @@
+var Promise = require('bluebird');
+var porqpine = require('../src/mongoWrapper');
+var testing = require('../testing');
+
+describe('testing', function() {
+
+	var getDb = porqpine.getDb;
+
+	beforeEach(function() {
+		testing.install({ shop: { orders: [ { _id: 1, status: 'open' }, { _id: 2, status: 'shipped' } ] } });
+	});
+
+	afterEach(function() {
+		testing.restore();
+	});
+
+	it('should make getDb resolve with a fake db that has the fixtures loaded', function() {
+		return porqpine.getDb('shop')
+			.then(function(db) {
+				expect(db).to.be.an.instanceof(testing.FakeDb);
+				return db.collection('orders').find({ status: 'open' }).toArrayAsync();
+			})
+			.then(function(docs) {
+				expect(docs).to.deep.equal([ { _id: 1, status: 'open' } ]);
+			});
+	});
+
+	it('should give the same fake db for the same dbName, however it\'s asked for', function() {
+		return Promise.all([
+				porqpine.getDb('shop'),
+				porqpine.getDb('reporting', 'shop'),
+				porqpine.getDb('mongodb://someHost/shop'),
+				porqpine.getDb({ cluster: 'reporting', dbName: 'shop' })
+			])
+			.then(function(dbs) {
+				expect(dbs[1]).to.equal(dbs[0]);
+				expect(dbs[2]).to.equal(dbs[0]);
+				expect(dbs[3]).to.equal(dbs[0]);
+			});
+	});
+
+	it('should let the code under test write through porqpine, and show what it wrote', function() {
+		var orders = porqpine.model('orders', { status: { type: 'string', enum: [ 'open', 'shipped' ] } }, { db: 'shop' });
+		return orders.update({ _id: 1 }, { $set: { status: 'shipped' } })
+			.then(function() {
+				expect(testing.getDocuments('shop', 'orders')).to.deep.equal([ { _id: 1, status: 'shipped' }, { _id: 2, status: 'shipped' } ]);
+			});
+	});
+
+	it('should support cached queries', function() {
+		return porqpine.getDb('shop')
+			.then(function(db) {
+				return db.collection('orders').cachedCountAsync('queryCache', { status: 'shipped' })
+					.then(function(count) {
+						expect(count).to.equal(1);
+						return db.collection('queryCache').countAsync();
+					});
+			})
+			.then(function(cacheEntries) {
+				expect(cacheEntries).to.equal(1);
+			});
+	});
+
+	it('should support cached aggregates that return a cursor', function() {
+		var pipeline = [ { $group: { _id: '$status', count: { $sum: 1 } } }, { $sort: { _id: 1 } } ];
+		return porqpine.getDb('shop')
+			.then(function(db) {
+				var orders = db.collection('orders');
+				return orders.cachedAggregateAsync('queryCache', pipeline, { cursor: {} })
+					.then(function(cursor) {
+						return cursor.toArrayAsync();
+					})
+					.then(function(results) {
+						expect(results).to.deep.equal([ { _id: 'open', count: 1 }, { _id: 'shipped', count: 1 } ]);
+						return orders.cachedAggregateAsync('queryCache', pipeline, { cursor: {} });
+					})
+					.then(function(cursor) {
+						return cursor.toArrayAsync();
+					});
+			})
+			.then(function(cachedResults) {
+				expect(cachedResults).to.deep.equal([ { _id: 'open', count: 1 }, { _id: 'shipped', count: 1 } ]);
+				expect(testing.getDocuments('shop', 'queryCache')).to.have.length(1);
+			});
+	});
+
+	it('should drop every fake db on reset', function() {
+		testing.reset();
+		expect(testing.getDocuments('shop', 'orders')).to.be.empty;
+	});
+
+	it('should put getDb back on restore', function() {
+		testing.restore();
+		expect(porqpine.getDb).to.equal(getDb);
+	});
+});